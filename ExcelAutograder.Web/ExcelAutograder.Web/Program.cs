@@ -13,6 +13,10 @@ Console.WriteLine($"WebRootPath     = {app.Environment.WebRootPath}");
 app.UseDefaultFiles();   // serves wwwroot/index.html
 app.UseStaticFiles();
 
+// --- Rubric persistence (save files under wwwroot/rubrics) ---
+var rubricDir = Path.Combine(app.Environment.WebRootPath ?? "wwwroot", "rubrics");
+Directory.CreateDirectory(rubricDir);
+
 // POST /api/grade
 app.MapPost("/api/grade", async (HttpRequest req) =>
 {
@@ -32,6 +36,7 @@ app.MapPost("/api/grade", async (HttpRequest req) =>
     // 1) Try file part "rubricJson" (what the UI sends from the preview box)
     // 2) Fallback to file part "rubric" (legacy)
     // 3) Fallback to text field "rubric_json"
+    // 4) Fallback to a saved library rubric named by "rubric_name"
     string? rubricText = null;
 
     var rubricJsonFile = form.Files.GetFile("rubricJson")
@@ -47,8 +52,17 @@ app.MapPost("/api/grade", async (HttpRequest req) =>
         rubricText = form["rubric_json"].FirstOrDefault();
     }
 
+    var rubricName = form["rubric_name"].FirstOrDefault();
+    if (string.IsNullOrWhiteSpace(rubricText) && !string.IsNullOrWhiteSpace(rubricName))
+    {
+        var libPath = Path.Combine(rubricDir, SanitizeFileName(rubricName));
+        if (!System.IO.File.Exists(libPath))
+            return Results.NotFound(new { error = $"Library rubric '{rubricName}' not found." });
+        rubricText = await System.IO.File.ReadAllTextAsync(libPath);
+    }
+
     if (string.IsNullOrWhiteSpace(rubricText))
-        return Results.BadRequest(new { error = "Provide a rubric: upload as 'rubricJson' (or 'rubric') or send text as 'rubric_json'." });
+        return Results.BadRequest(new { error = "Provide a rubric: upload as 'rubricJson' (or 'rubric'), send text as 'rubric_json', or name a library rubric as 'rubric_name'." });
 
     Rubric? rub;
     try
@@ -69,6 +83,93 @@ app.MapPost("/api/grade", async (HttpRequest req) =>
     using var keyStream = key.OpenReadStream();
     using var wbKey = new XLWorkbook(keyStream);
 
+    // One student -> { student, grade } or { student, error }
+    async Task<(object Result, bool Failed)> GradeOne(IFormFile s)
+    {
+        try
+        {
+            // --- BUFFER STUDENT (so Grader can inspect ZIP for CFs)
+            byte[] sBytes;
+            using (var ms = new MemoryStream())
+            {
+                using var sStreamRaw = s.OpenReadStream();
+                await sStreamRaw.CopyToAsync(ms);
+                sBytes = ms.ToArray();
+            }
+
+            using var wbStudent = new XLWorkbook(new MemoryStream(sBytes));
+            var grade = Grader.Run(wbKey, wbStudent, rub, sBytes); // <-- new overload
+            return (new { student = s.FileName, grade }, false);
+        }
+        catch (Exception ex)
+        {
+            return (new { student = s.FileName, error = ex.Message }, true);
+        }
+    }
+
+    // Streaming: "stream=ndjson" (or Accept: application/x-ndjson) writes one JSON line per
+    // student as soon as it is graded, framed by { event:"start", total } and { event:"end", ... }.
+    // Closing the connection stops grading the students that have not started yet.
+    var wantsStream = string.Equals(form["stream"].FirstOrDefault(), "ndjson", StringComparison.OrdinalIgnoreCase)
+                      || req.Headers.Accept.ToString().Contains("application/x-ndjson", StringComparison.OrdinalIgnoreCase);
+    if (wantsStream)
+    {
+        var resp = req.HttpContext.Response;
+        var aborted = req.HttpContext.RequestAborted;
+        var writeLock = new SemaphoreSlim(1);
+        var graded = 0;
+        var failed = 0;
+
+        async Task WriteLine(object payload)
+        {
+            var line = JsonSerializer.Serialize(payload) + "\n";
+            await writeLock.WaitAsync();
+            try
+            {
+                await resp.WriteAsync(line, aborted);
+                await resp.Body.FlushAsync(aborted);
+            }
+            // client went away: Kestrel reports it as a cancellation or as an IOException (connection reset)
+            catch (Exception ex) when (ex is OperationCanceledException or IOException || aborted.IsCancellationRequested) { }
+            finally { writeLock.Release(); }
+        }
+
+        resp.ContentType = "application/x-ndjson";
+        resp.Headers.CacheControl = "no-cache";
+        await WriteLine(new { @event = "start", total = students.Count });
+
+        var streamThrottler = new SemaphoreSlim(4);
+        var streamTasks = new List<Task>();
+        try
+        {
+            for (var i = 0; i < students.Count; i++)
+            {
+                await streamThrottler.WaitAsync(aborted);
+                var s = students[i];
+                var index = i;
+                streamTasks.Add(Task.Run(async () =>
+                {
+                    try
+                    {
+                        var (result, isError) = await GradeOne(s);
+                        if (isError) Interlocked.Increment(ref failed);
+                        else Interlocked.Increment(ref graded);
+                        await WriteLine(new { @event = "result", index, result });
+                    }
+                    finally { streamThrottler.Release(); }
+                }));
+            }
+            await Task.WhenAll(streamTasks);
+            await WriteLine(new { @event = "end", graded, failed });
+        }
+        catch (Exception ex) when (ex is OperationCanceledException or IOException || aborted.IsCancellationRequested)
+        {
+            // let running workbooks finish before the key is disposed; the response is already gone
+            try { await Task.WhenAll(streamTasks); } catch (Exception) { }
+        }
+        return Results.Empty;
+    }
+
     // Grade students (parallel with throttling)
     var results = new List<object>();
     var throttler = new SemaphoreSlim(4); // tune: 4-8
@@ -82,22 +183,8 @@ app.MapPost("/api/grade", async (HttpRequest req) =>
         {
             try
             {
-                // --- BUFFER STUDENT (so Grader can inspect ZIP for CFs)
-                byte[] sBytes;
-                using (var ms = new MemoryStream())
-                {
-                    using var sStreamRaw = s.OpenReadStream();
-                    await sStreamRaw.CopyToAsync(ms);
-                    sBytes = ms.ToArray();
-                }
-
-                using var wbStudent = new XLWorkbook(new MemoryStream(sBytes));
-                var grade = Grader.Run(wbKey, wbStudent, rub, sBytes); // <-- new overload
-                lock (results) results.Add(new { student = s.FileName, grade });
-            }
-            catch (Exception ex)
-            {
-                lock (results) results.Add(new { student = s.FileName, error = ex.Message });
+                var (result, _) = await GradeOne(s);
+                lock (results) results.Add(result);
             }
             finally { throttler.Release(); }
         }));
@@ -107,10 +194,6 @@ app.MapPost("/api/grade", async (HttpRequest req) =>
     return Results.Json(results, new JsonSerializerOptions { WriteIndented = true });
 });
 
-// --- Rubric persistence (save files under wwwroot/rubrics) ---
-var rubricDir = Path.Combine(app.Environment.WebRootPath ?? "wwwroot", "rubrics");
-Directory.CreateDirectory(rubricDir);
-
 app.MapGet("/api/rubrics", () =>
 {
     var files = Directory.GetFiles(rubricDir, "*.json")
@@ -159,6 +242,15 @@ app.MapPost("/api/rubric/{name}", async (string name, HttpRequest req) =>
     return Results.Ok(new { saved = safe });
 });
 
+app.MapDelete("/api/rubric/{name}", (string name) =>
+{
+    var safe = SanitizeFileName(name);
+    var path = Path.Combine(rubricDir, safe);
+    if (!System.IO.File.Exists(path)) return Results.NotFound();
+    System.IO.File.Delete(path);
+    return Results.Ok(new { deleted = safe });
+});
+
 
 // POST /api/rubric/auto  (multipart/form-data: key=<file>, sheet=<optional>, all=<optional "true">, total=<optional>)
 app.MapPost("/api/rubric/auto", async (HttpRequest req) =>
@@ -280,6 +372,127 @@ app.MapPost("/api/key/sheets", async (HttpRequest req) =>
     return Results.Json(names);
 });
 
+// POST /api/key/cells  (multipart/form-data: key=<file>, sheet=<name>, max_rows=<optional>, max_cols=<optional>)
+// Read-only grid preview for the ranges builder: displayed text + formula of every
+// non-empty cell from A1 to the end of the used range, capped to max_rows x max_cols.
+app.MapPost("/api/key/cells", async (HttpRequest req) =>
+{
+    if (!req.HasFormContentType) return Results.BadRequest(new { error = "Expected multipart/form-data" });
+    var form = await req.ReadFormAsync();
+    var keyFile = form.Files.GetFile("key");
+    if (keyFile is null) return Results.BadRequest(new { error = "Upload key workbook as 'key'" });
+    var sheet = form["sheet"].ToString();
+    if (string.IsNullOrWhiteSpace(sheet)) return Results.BadRequest(new { error = "Missing 'sheet'" });
+
+    var maxRows = int.TryParse(form["max_rows"], out var mr) ? Math.Clamp(mr, 1, 2000) : 200;
+    var maxCols = int.TryParse(form["max_cols"], out var mc) ? Math.Clamp(mc, 1, 200) : 40;
+
+    using var ms = new MemoryStream();
+    using (var src = keyFile.OpenReadStream()) { await src.CopyToAsync(ms); }
+
+    using var wbKey = new XLWorkbook(new MemoryStream(ms.ToArray()));
+    if (!wbKey.TryGetWorksheet(sheet, out var ws))
+        return Results.NotFound(new { error = $"Sheet '{sheet}' not found in key" });
+
+    var used = ws.RangeUsed();
+    var lastRow = used?.LastRow().RowNumber() ?? 0;
+    var lastCol = used?.LastColumn().ColumnNumber() ?? 0;
+    var rows = Math.Min(lastRow, maxRows);
+    var cols = Math.Min(lastCol, maxCols);
+
+    var cells = new List<object>();
+    if (rows > 0 && cols > 0)
+    {
+        foreach (var c in ws.Range(1, 1, rows, cols).CellsUsed())
+        {
+            string text;
+            try { text = c.GetFormattedString(); }
+            catch { text = c.CachedValue.ToString(); } // formulas ClosedXML cannot evaluate
+            cells.Add(new
+            {
+                r = c.Address.RowNumber,
+                c = c.Address.ColumnNumber,
+                v = text,
+                f = c.HasFormula ? "=" + c.FormulaA1 : null
+            });
+        }
+    }
+
+    return Results.Json(new
+    {
+        sheet = ws.Name,
+        rows,
+        cols,
+        lastRow,
+        lastCol,
+        truncated = lastRow > rows || lastCol > cols,
+        cells
+    });
+});
+
+// POST /api/key/names  (multipart/form-data: key=<file>)
+// Defined names (workbook- and sheet-scoped) and Excel tables of the key, with the
+// addresses they cover, so the ranges builder can use them as range sources.
+// Names that do not refer to a range (constants, formulas) are left out.
+app.MapPost("/api/key/names", async (HttpRequest req) =>
+{
+    if (!req.HasFormContentType) return Results.BadRequest(new { error = "Expected multipart/form-data" });
+    var form = await req.ReadFormAsync();
+    var keyFile = form.Files.GetFile("key");
+    if (keyFile is null) return Results.BadRequest(new { error = "Upload key workbook as 'key'" });
+
+    using var ms = new MemoryStream();
+    using (var src = keyFile.OpenReadStream()) { await src.CopyToAsync(ms); }
+
+    using var wbKey = new XLWorkbook(new MemoryStream(ms.ToArray()));
+
+    var names = new List<object>();
+    void AddName(IXLDefinedName nr, string? scope)
+    {
+        List<IXLRange> areas;
+        try { areas = nr.Ranges.ToList(); } catch { return; }
+        if (areas.Count == 0) return;
+        var sheet = areas[0].Worksheet.Name;
+        if (areas.Any(a => a.Worksheet.Name != sheet)) return; // spans sheets: not usable as one section
+        names.Add(new
+        {
+            name = nr.Name,
+            scope,
+            sheet,
+            address = string.Join(", ", areas.Select(a => a.RangeAddress.ToStringRelative(false)))
+        });
+    }
+    foreach (var nr in wbKey.DefinedNames) AddName(nr, null);
+    foreach (var ws in wbKey.Worksheets)
+        foreach (var nr in ws.DefinedNames) AddName(nr, ws.Name);
+
+    var tables = new List<object>();
+    foreach (var ws in wbKey.Worksheets)
+    {
+        foreach (var t in ws.Tables)
+        {
+            var all = t.RangeAddress;
+            var firstData = all.FirstAddress.RowNumber + (t.ShowHeaderRow ? 1 : 0);
+            var lastData = all.LastAddress.RowNumber - (t.ShowTotalsRow ? 1 : 0);
+            string? Area(int c1, int c2) => firstData > lastData
+                ? null
+                : ws.Range(firstData, c1, lastData, c2).RangeAddress.ToStringRelative(false);
+
+            var c0 = all.FirstAddress.ColumnNumber;
+            tables.Add(new
+            {
+                name = t.Name,
+                sheet = ws.Name,
+                address = all.ToStringRelative(false),
+                data = Area(c0, all.LastAddress.ColumnNumber),
+                columns = t.Fields.Select(f => new { name = f.Name, address = Area(c0 + f.Index, c0 + f.Index) }).ToList()
+            });
+        }
+    }
+
+    return Results.Json(new { names, tables });
+});
+
 // Build rubric from either flat ranges or named sections + ranges
 app.MapPost("/api/rubric/from-ranges", async (HttpRequest req) =>
 {
@@ -312,7 +525,8 @@ app.MapPost("/api/rubric/from-ranges", async (HttpRequest req) =>
     {
         if (!string.IsNullOrWhiteSpace(sectionsJson))
         {
-            // { "SheetA": [ { "name": "Drink Types", "ranges": ["D8:D17"] }, ... ] }
+            // { "SheetA": [ { "name": "Drink Types", "ranges": ["D8:D17"], "points": 12 }, ... ] }
+            // "points" is optional: the section's budget, shared by its generated rules
             var opts = new System.Text.Json.JsonSerializerOptions { PropertyNameCaseInsensitive = true };
 
             var dto = System.Text.Json.JsonSerializer.Deserialize<
@@ -323,7 +537,7 @@ app.MapPost("/api/rubric/from-ranges", async (HttpRequest req) =>
                                 dto.ToDictionary(
                                     kv => kv.Key,
                                     kv => kv.Value
-                                          .Select(s => (section: (s.Name ?? s.Section ?? "Section"), ranges: (s.Ranges ?? new List<string>())))
+                                          .Select(s => (section: (s.Name ?? s.Section ?? "Section"), ranges: (s.Ranges ?? new List<string>()), points: s.Points))
                                           .ToList(),
                                     StringComparer.OrdinalIgnoreCase);
 
@@ -353,6 +567,47 @@ app.MapPost("/api/rubric/from-ranges", async (HttpRequest req) =>
 });
 
 
+// POST /api/feedback/zip  (JSON: { files: [ { name, content } ] }) -> feedback.zip
+app.MapPost("/api/feedback/zip", async (HttpRequest req) =>
+{
+    FeedbackZipDto? dto;
+    try
+    {
+        dto = await JsonSerializer.DeserializeAsync<FeedbackZipDto>(req.Body,
+            new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+    }
+    catch (Exception ex)
+    {
+        return Results.BadRequest(new { error = "Invalid JSON", detail = ex.Message });
+    }
+    if (dto?.Files is null || dto.Files.Count == 0)
+        return Results.BadRequest(new { error = "No files to zip." });
+
+    using var ms = new MemoryStream();
+    using (var zip = new System.IO.Compression.ZipArchive(ms, System.IO.Compression.ZipArchiveMode.Create, leaveOpen: true))
+    {
+        var used = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var f in dto.Files)
+        {
+            var name = Path.GetFileName(f.Name ?? "");
+            foreach (var c in Path.GetInvalidFileNameChars())
+                name = name.Replace(c, '_');
+            if (string.IsNullOrWhiteSpace(name)) name = "feedback.html";
+
+            // same submission name twice -> "name (2).html"
+            var stem = Path.GetFileNameWithoutExtension(name);
+            var ext = Path.GetExtension(name);
+            for (var n = 2; !used.Add(name); n++) name = $"{stem} ({n}){ext}";
+
+            var entry = zip.CreateEntry(name, System.IO.Compression.CompressionLevel.Optimal);
+            await using var writer = new StreamWriter(entry.Open(), new System.Text.UTF8Encoding(false));
+            await writer.WriteAsync(f.Content ?? "");
+        }
+    }
+    return Results.File(ms.ToArray(), "application/zip", "feedback.zip");
+});
+
+
 app.Run();
 
 
@@ -362,5 +617,17 @@ public sealed class SectionDto
     public string? Name { get; set; }
     public string? Section { get; set; }  // allow "section" from JSON too
     public List<string>? Ranges { get; set; }
+    public double? Points { get; set; }   // optional fixed budget for the section
     public string ResolvedName => string.IsNullOrWhiteSpace(Name) ? (Section ?? "Section") : Name;
 }
+
+public sealed class FeedbackZipDto
+{
+    public List<FeedbackFileDto>? Files { get; set; }
+}
+
+public sealed class FeedbackFileDto
+{
+    public string? Name { get; set; }      // file name inside the zip
+    public string? Content { get; set; }   // HTML page
+}
@@ -119,14 +119,15 @@ public static partial class RubricAuto
     /// and (optionally) artifacts discovered from the ZIP. Preserves the provided section order.
     /// </summary>
     /// <param name="wbKey">The key workbook.</param>
-    /// <param name="sectionsPerSheet">Map of sheet name → list of (section name, A1 ranges).</param>
+    /// <param name="sectionsPerSheet">Map of sheet name → list of (section name, A1 ranges, optional points budget).</param>
     /// <param name="includeArtifacts">If true, append discovered pivot/CF/chart rules under an “Artifacts” section.</param>
-    /// <param name="targetTotal">Desired total points (≤0 to skip scaling).</param>
+    /// <param name="targetTotal">Desired total points (≤0 to skip scaling). Sections with a budget keep it;
+    /// the rest of the rubric is scaled to whatever the budgets leave over.</param>
     /// <param name="keyZipBytes">Optional XLSX ZIP bytes for artifact discovery.</param>
     /// <returns>The generated <see cref="Rubric"/>.</returns>
     public static Rubric BuildFromKeyRanges(
         XLWorkbook wbKey,
-        IDictionary<string, List<(string section, List<string> ranges)>> sectionsPerSheet,
+        IDictionary<string, List<(string section, List<string> ranges, double? points)>> sectionsPerSheet,
         bool includeArtifacts,
         double targetTotal,
         byte[]? keyZipBytes)
@@ -143,6 +144,10 @@ public static partial class RubricAuto
         var cfs = includeArtifacts && keyZipBytes != null ? ExtractConditionalRulesFromZip(keyZipBytes) : new();
         var charts = includeArtifacts && keyZipBytes != null ? ExtractChartRulesFromZip(keyZipBytes) : new();
 
+        // rules whose points were fixed by a section budget (excluded from the final rescale)
+        var budgeted = new HashSet<Rule>();
+        var budgetTotal = 0.0;
+
         foreach (var (sheetName, sections) in sectionsPerSheet)
         {
             var ws = wbKey.Worksheets.FirstOrDefault(w => string.Equals(w.Name, sheetName, StringComparison.OrdinalIgnoreCase));
@@ -151,10 +156,11 @@ public static partial class RubricAuto
             var checks = new List<Rule>();
             var sectionOrder = new List<string>();
 
-            foreach (var (sectionName, ranges) in sections)
+            foreach (var (sectionName, ranges, sectionPoints) in sections)
             {
                 // remember order
                 if (!string.IsNullOrWhiteSpace(sectionName)) sectionOrder.Add(sectionName);
+                var firstRule = checks.Count;
 
                 // parse ranges on this sheet
                 var addrs = new List<IXLRangeAddress>();
@@ -324,6 +330,16 @@ public static partial class RubricAuto
                         }
                     });
                 }
+
+                // (5) Section budget: this section's rules share its points
+                // (a section that produced no rules leaves its budget to the rest of the rubric)
+                var sectionRules = checks.Skip(firstRule).ToList();
+                if (sectionPoints is double budget && budget >= 0 && sectionRules.Count > 0)
+                {
+                    ScaleChecksTo(sectionRules, budget);
+                    budgeted.UnionWith(sectionRules);
+                    budgetTotal += budget;
+                }
             }
 
             // Add artifacts (optional) under "Artifacts" section
@@ -342,7 +358,17 @@ public static partial class RubricAuto
             rub.Points += checks.Sum(c => c.Points);
         }
 
-        if (targetTotal > 0) RescalePoints(rub, targetTotal);
+        if (budgeted.Count == 0)
+        {
+            if (targetTotal > 0) RescalePoints(rub, targetTotal);
+        }
+        else if (targetTotal > 0)
+        {
+            // unbudgeted sections (and artifacts) share what the budgets leave over
+            var rest = rub.Sheets.Values.SelectMany(s => s.Checks ?? new List<Rule>()).Where(c => !budgeted.Contains(c)).ToList();
+            ScaleChecksTo(rest, Math.Max(0, targetTotal - budgetTotal));
+            rub.Points = rub.Sheets.Values.Sum(s => s.Checks?.Sum(c => c.Points) ?? 0);
+        }
         return rub;
     }
 
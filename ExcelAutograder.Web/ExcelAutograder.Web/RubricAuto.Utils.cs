@@ -104,6 +104,30 @@ public static partial class RubricAuto
         rub.Points = targetTotal;
     }
 
+    /// <summary>
+    /// Rescales a group of rules so their <c>Points</c> sum to <paramref name="budget"/>,
+    /// preserving relative weights (even split when they are all 0) and rounding to 3 decimals.
+    /// The rounding remainder goes to the largest rule, so the sum is exactly the budget.
+    /// </summary>
+    /// <param name="checks">Rules to mutate.</param>
+    /// <param name="budget">Points the rules should add up to (≥ 0).</param>
+    internal static void ScaleChecksTo(IList<Rule> checks, double budget)
+    {
+        if (checks is null || checks.Count == 0 || budget < 0) return;
+
+        var current = checks.Sum(c => c.Points);
+        foreach (var c in checks)
+            c.Points = Math.Round(current > 0 ? c.Points * budget / current : budget / checks.Count, 3);
+
+        // e.g. 10 pts over 3 equal rules: 3.333 + 3.333 + 3.334
+        var remainder = Math.Round(Math.Round(budget, 3) - checks.Sum(c => c.Points), 3);
+        if (remainder != 0)
+        {
+            var largest = checks.OrderByDescending(c => c.Points).First();
+            largest.Points = Math.Round(largest.Points + remainder, 3);
+        }
+    }
+
     /// <summary>
     /// True if <paramref name="text"/> contains any of the provided <paramref name="needles"/> (case-insensitive).
     /// </summary>
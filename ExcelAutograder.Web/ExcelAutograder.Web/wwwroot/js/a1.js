@@ -0,0 +1,137 @@
+/**
+ * A1 Reference Helpers
+ * --------------------
+ * Small parser for Excel A1 references as they appear in rubric rules and the
+ * ranges builder: "B12", "$A$2:$B$20", "a2:b20", "Summary!$B$1",
+ * "'Sheet 1'!A1:C3". Used by client-side validation and range tooling so the
+ * browser can catch typos before anything is sent to the server.
+ */
+(function () {
+    const MAX_ROW = 1048576;
+    const MAX_COL = 16384; // XFD
+
+    /**
+     * Converts column letters to a 1-based column number ("A" → 1, "AA" → 27).
+     * @param {string} letters
+     * @returns {number}
+     */
+    function colToNum(letters) {
+        let n = 0;
+        for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+        return n;
+    }
+
+    /**
+     * Converts a 1-based column number to letters (27 → "AA").
+     * @param {number} n
+     * @returns {string}
+     */
+    function numToCol(n) {
+        let s = '';
+        while (n > 0) { const m = (n - 1) % 26; s = String.fromCharCode(65 + m) + s; n = Math.floor((n - 1) / 26); }
+        return s;
+    }
+
+    /**
+     * Splits an optional sheet prefix from a reference ("'My Sheet'!A1" → { sheet:'My Sheet', ref:'A1' }).
+     * @param {string} text
+     * @returns {{sheet:(string|null), ref:string}}
+     */
+    function splitSheet(text) {
+        const s = (text ?? '').toString().trim();
+        const bang = s.lastIndexOf('!');
+        if (bang < 0) return { sheet: null, ref: s };
+        let sheet = s.slice(0, bang).trim();
+        if (/^'.*'$/.test(sheet)) sheet = sheet.slice(1, -1).replace(/''/g, "'");
+        return { sheet: sheet || null, ref: s.slice(bang + 1).trim() };
+    }
+
+    /**
+     * Parses a single cell address such as "B12" or "$B$12".
+     * @param {string} text
+     * @returns {{col:number, row:number, colAbs:boolean, rowAbs:boolean}|null} null when not a valid cell.
+     */
+    function parseCell(text) {
+        const m = /^(\$?)([A-Za-z]{1,3})(\$?)(\d{1,7})$/.exec((text ?? '').toString().trim());
+        if (!m) return null;
+        const col = colToNum(m[2]);
+        const row = +m[4];
+        if (col < 1 || col > MAX_COL || row < 1 || row > MAX_ROW) return null;
+        return { col, row, colAbs: m[1] === '$', rowAbs: m[3] === '$' };
+    }
+
+    /**
+     * Parses whole-column ("A:C") or whole-row ("2:5") references.
+     * @param {string[]} parts - The two sides of the colon.
+     * @returns {{a:{col:number,row:number}, b:{col:number,row:number}, kind:'cols'|'rows'}|null}
+     */
+    function parseLine(parts) {
+        if (parts.length !== 2) return null;
+        const [x, y] = parts.map(p => p.trim().replace(/\$/g, ''));
+        if (/^[A-Za-z]{1,3}$/.test(x) && /^[A-Za-z]{1,3}$/.test(y)) {
+            const c1 = colToNum(x), c2 = colToNum(y);
+            if (c1 > MAX_COL || c2 > MAX_COL) return null;
+            return { a: { col: c1, row: 1 }, b: { col: c2, row: MAX_ROW }, kind: 'cols' };
+        }
+        if (/^\d{1,7}$/.test(x) && /^\d{1,7}$/.test(y)) {
+            const r1 = +x, r2 = +y;
+            if (r1 < 1 || r2 < 1 || r1 > MAX_ROW || r2 > MAX_ROW) return null;
+            return { a: { col: 1, row: r1 }, b: { col: MAX_COL, row: r2 }, kind: 'rows' };
+        }
+        return null;
+    }
+
+    /**
+     * Parses a cell or rectangular range ("A2:B20", "B5", "Sheet!$A$1:$A$9", "A:A", "3:3").
+     * Reversed corners are accepted and reported via `swapped`; `normalized`
+     * is the upper-case, top-left-first form without `$` or sheet prefix.
+     * @param {string} text
+     * @returns {{sheet:(string|null), c1:number, r1:number, c2:number, r2:number, cells:number, swapped:boolean, normalized:string}|null}
+     */
+    function parseRange(text) {
+        const { sheet, ref } = splitSheet(text);
+        if (!ref) return null;
+        const parts = ref.split(':');
+        if (parts.length > 2) return null;
+
+        const line = parseLine(parts);
+        if (line) {
+            const { a, b, kind } = line;
+            const c1 = Math.min(a.col, b.col), c2 = Math.max(a.col, b.col);
+            const r1 = Math.min(a.row, b.row), r2 = Math.max(a.row, b.row);
+            return {
+                sheet, c1, r1, c2, r2,
+                cells: (c2 - c1 + 1) * (r2 - r1 + 1),
+                swapped: kind === 'cols' ? c1 !== a.col : r1 !== a.row,
+                normalized: kind === 'cols' ? `${numToCol(c1)}:${numToCol(c2)}` : `${r1}:${r2}`
+            };
+        }
+
+        const a = parseCell(parts[0]);
+        const b = parts.length === 2 ? parseCell(parts[1]) : a;
+        if (!a || !b) return null;
+
+        const c1 = Math.min(a.col, b.col), c2 = Math.max(a.col, b.col);
+        const r1 = Math.min(a.row, b.row), r2 = Math.max(a.row, b.row);
+        const swapped = c1 !== a.col || r1 !== a.row;
+        const tl = numToCol(c1) + r1, br = numToCol(c2) + r2;
+        return {
+            sheet, c1, r1, c2, r2,
+            cells: (c2 - c1 + 1) * (r2 - r1 + 1),
+            swapped,
+            normalized: (tl === br && parts.length === 1) ? tl : `${tl}:${br}`
+        };
+    }
+
+    /**
+     * True when two parsed ranges share at least one cell (sheet prefixes ignored).
+     * @param {{c1:number,r1:number,c2:number,r2:number}} a
+     * @param {{c1:number,r1:number,c2:number,r2:number}} b
+     * @returns {boolean}
+     */
+    function overlaps(a, b) {
+        return a.c1 <= b.c2 && b.c1 <= a.c2 && a.r1 <= b.r2 && b.r1 <= a.r2;
+    }
+
+    window.A1 = { MAX_ROW, MAX_COL, colToNum, numToCol, splitSheet, parseCell, parseRange, overlaps };
+})();
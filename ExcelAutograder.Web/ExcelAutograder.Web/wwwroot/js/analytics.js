@@ -0,0 +1,252 @@
+/**
+ * Class Analytics
+ * ---------------
+ * "Analytics" tab of the results card, next to the per-student cards in
+ * #resultsBody. Built from the same report rows and `details` (sheet, section,
+ * check, points, earned) that `showReport()` renders:
+ *
+ *  - score histogram (percent of points possible, 10 bins) with mean, median
+ *    and standard deviation
+ *  - the ten most-failed checks, each linking to its rule block in the builder
+ *  - pass rates per section (students with full section points) and per check
+ *  - students whose grading errored (`r.error`)
+ *
+ * A check counts as passed when it earned its full points. The tab is redrawn
+ * whenever a new report is shown.
+ */
+(function () {
+    const host = document.getElementById('analyticsBody');
+    const studentsBody = document.getElementById('resultsBody');
+    const tabs = document.querySelectorAll('#resultsTabs [data-tab]');
+    if (!host || !studentsBody || !window.gradebookExport) return;
+
+    const BINS = 10;
+    let stale = true;
+
+    const pct = (part, whole) => (whole ? (part / whole) * 100 : 0);
+    const fmtPct = v => `${Math.round(v)}%`;
+
+    const num = (v, dec) => gradebookExport.round(v, dec);
+
+    /** Mean, median and (population) standard deviation. */
+    function stats(values) {
+        if (!values.length) return { mean: NaN, median: NaN, sd: NaN };
+        const sorted = [...values].sort((a, b) => a - b);
+        const mean = values.reduce((a, v) => a + v, 0) / values.length;
+        const mid = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        const sd = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length);
+        return { mean, median, sd };
+    }
+
+    /**
+     * Finds the builder rule a graded check came from: same sheet, and
+     * `keyForRule()` equal to the check name ("formula:B2"), else a rule of the
+     * same type whose cell / range appears in the check name.
+     * @returns {string|null} the rule's `__id`
+     */
+    function findRuleId(sheet, check) {
+        const name = Object.keys(rubric?.sheets || {}).find(s => s.toLowerCase() === String(sheet).toLowerCase());
+        const checks = name ? (rubric.sheets[name].checks || []) : [];
+        const c = String(check || '').toLowerCase();
+        const exact = checks.find(r => keyForRule(r).toLowerCase() === c);
+        if (exact) return exact.__id || null;
+        const loose = checks.find(r => {
+            const loc = (r.cell || r.range || '').toString().trim().toLowerCase();
+            return loc && c.includes(loc) && c.startsWith((r.type || '').toLowerCase());
+        });
+        return loose?.__id || null;
+    }
+
+    /** Aggregates the report on screen. */
+    function collect() {
+        const ctx = reportContext();
+        const rows = gradebookExport.rows();
+        const summaries = rows.map(gradebookExport.summarize);
+        const graded = [], errored = [];
+        summaries.forEach((s, i) => (s.error ? errored : graded).push({ s, row: rows[i] }));
+
+        const checks = new Map();   // sheet \0 check -> { sheet, section, check, n, passed, earned, points }
+        const sections = new Map(); // sheet \0 section -> { sheet, section, n, full, earned, points }
+        for (const { s, row } of graded) {
+            const grade = typeof row.grade === 'object' ? row.grade : row;
+            for (const d of grade.details ?? grade.Details ?? []) {
+                const sheet = (d.sheet || '(Unknown sheet)').toString();
+                const check = (d.check ?? d.rule ?? '').toString();
+                const k = `${sheet}\u0000${check}`;
+                const c = checks.get(k) || { sheet, section: (d.section || '(No section)').toString(), check, n: 0, passed: 0, earned: 0, points: 0 };
+                c.n++;
+                if (+d.earned >= +d.points) c.passed++;
+                c.earned += +d.earned || 0;
+                c.points += +d.points || 0;
+                checks.set(k, c);
+            }
+            for (const [k, t] of s.sections) {
+                const [sheet, section] = k.split('\u0000');
+                const sec = sections.get(k) || { sheet, section, n: 0, full: 0, earned: 0, points: 0 };
+                sec.n++;
+                if (t.earned >= t.points - 1e-9) sec.full++;
+                sec.earned += t.earned;
+                sec.points += t.points;
+                sections.set(k, sec);
+            }
+        }
+
+        // rubric order for sections (same order as the cards)
+        const layout = gradebookExport.layout(graded.map(g => g.s), ctx);
+        const sectionList = layout.flatMap(l => l.sections.map(x => sections.get(`${l.sheet}\u0000${x.section}`)).filter(Boolean));
+        return { ctx, graded, errored, checks: [...checks.values()], sections: sectionList };
+    }
+
+    // --- Rendering ----------------------------------------------------------------
+
+    function histogram(percents) {
+        const counts = new Array(BINS).fill(0);
+        for (const p of percents) counts[Math.min(BINS - 1, Math.max(0, Math.floor(p / (100 / BINS))))]++;
+        const max = Math.max(1, ...counts);
+        const wrap = el('div', 'histo');
+        counts.forEach((n, i) => {
+            const lo = i * (100 / BINS), hi = lo + 100 / BINS;
+            const col = el('div', 'histo-col');
+            col.title = `${lo}–${hi}%: ${n} ${n === 1 ? 'student' : 'students'}`;
+            const bar = el('div', 'histo-bar');
+            bar.style.height = `${(n / max) * 100}%`;
+            col.append(el('div', 'tiny muted', n ? String(n) : ''), bar, el('div', 'tiny muted histo-label', `${lo}`));
+            wrap.append(col);
+        });
+        return wrap;
+    }
+
+    function statTile(label, value) {
+        const t = el('div', 'stat-tile');
+        t.append(el('div', 'tiny muted', esc(label)), el('div', 'stat-value', esc(value)));
+        return t;
+    }
+
+    /** Pass-rate bar cell content. */
+    function rateBar(rate) {
+        const cell = el('div', 'rate');
+        const fill = el('div', `rate-fill ${rate >= 80 ? 'pass' : (rate >= 50 ? 'partial' : 'fail')}`);
+        fill.style.width = `${rate}%`;
+        cell.append(fill, el('span', 'rate-label', fmtPct(rate)));
+        return cell;
+    }
+
+    function table(headers, rows) {
+        const t = el('table', 'analytics-table');
+        const head = el('tr');
+        headers.forEach(h => head.append(el('th', '', h)));
+        t.append(head);
+        rows.forEach(cells => {
+            const tr = el('tr');
+            cells.forEach(c => { const td = el('td'); if (c instanceof Node) td.append(c); else td.innerHTML = c; tr.append(td); });
+            t.append(tr);
+        });
+        return t;
+    }
+
+    function ruleLink(c) {
+        const id = findRuleId(c.sheet, c.check);
+        if (!id) return el('span', 'tiny muted', 'not in builder');
+        const a = el('a', 'link', 'Show rule');
+        a.href = '#';
+        a.onclick = (e) => {
+            e.preventDefault();
+            if (!document.querySelector(`.rule[data-id="${CSS.escape(id)}"]`)) return alert('That rule is not shown in the builder right now (folded section or search filter?).');
+            focusRule(id);
+        };
+        return a;
+    }
+
+    function render() {
+        stale = false;
+        host.innerHTML = '';
+        const { ctx, graded, errored, checks, sections } = collect();
+        const dec = gradebookExport.rubricDecimals(ctx);
+        if (!graded.length && !errored.length) { host.append(el('div', 'muted', 'No results to analyse.')); return; }
+
+        // scores
+        const scores = graded.map(g => g.s.total);
+        const percents = graded.map(g => pct(g.s.total, g.s.possible));
+        const possible = Math.max(0, ...graded.map(g => g.s.possible || 0));
+        const st = stats(scores);
+        const tiles = el('div', 'hstack analytics-tiles');
+        tiles.append(
+            statTile('Graded', `${graded.length}${errored.length ? ` (+${errored.length} errored)` : ''}`),
+            statTile('Mean', graded.length ? `${num(st.mean, dec)} / ${num(possible, dec)}` : '–'),
+            statTile('Median', graded.length ? `${num(st.median, dec)} / ${num(possible, dec)}` : '–'),
+            statTile('Std. deviation', graded.length ? num(st.sd, dec) : '–'),
+            statTile('Full marks', graded.length ? fmtPct(pct(graded.filter(g => g.s.possible > 0 && g.s.total >= g.s.possible - 1e-9).length, graded.length)) : '–')
+        );
+        const scoreCard = el('div', 'card stack');
+        scoreCard.append(el('h3', '', 'Scores'), tiles);
+        if (graded.length) scoreCard.append(histogram(percents), el('div', 'tiny muted', 'Students per 10% band of points possible'));
+        host.append(scoreCard);
+
+        // most failed checks
+        const failed = checks.filter(c => c.passed < c.n)
+            .sort((a, b) => (b.n - b.passed) - (a.n - a.passed) || pct(a.earned, a.points) - pct(b.earned, b.points))
+            .slice(0, 10);
+        const topCard = el('div', 'card stack');
+        topCard.append(el('h3', '', 'Most failed checks'));
+        if (failed.length) {
+            topCard.append(table(['Sheet', 'Section', 'Check', 'Failed', 'Avg. earned', ''], failed.map(c => [
+                esc(c.sheet), esc(c.section), `<span class="mono">${esc(c.check)}</span>`,
+                `${c.n - c.passed} / ${c.n}`, fmtPct(pct(c.earned, c.points)), ruleLink(c)
+            ])));
+        } else topCard.append(el('div', 'muted', 'Every check passed for every student.'));
+        host.append(topCard);
+
+        // sections
+        const secCard = el('div', 'card stack');
+        secCard.append(el('h3', '', 'Sections'));
+        secCard.append(table(['Sheet', 'Section', 'Full marks', 'Avg. score'], sections.map(s => [
+            esc(s.sheet), esc(s.section), rateBar(pct(s.full, s.n)), fmtPct(pct(s.earned, s.points))
+        ])));
+        host.append(secCard);
+
+        // every check
+        const checkCard = el('details', 'card stack');
+        checkCard.append(el('summary', '', `<strong>Pass rate per check</strong> <span class="tiny muted">(${checks.length})</span>`));
+        checkCard.append(table(['Sheet', 'Section', 'Check', 'Pass rate', ''], checks.map(c => [
+            esc(c.sheet), esc(c.section), `<span class="mono">${esc(c.check)}</span>`, rateBar(pct(c.passed, c.n)), ruleLink(c)
+        ])));
+        host.append(checkCard);
+
+        // errored students
+        if (errored.length) {
+            const errCard = el('div', 'card stack');
+            errCard.append(el('h3', '', `Errored students (${errored.length})`));
+            errCard.append(table(['Student', 'Error'], errored.map(e => [esc(e.s.student), `<span class="v-error">${esc(e.s.error)}</span>`])));
+            host.append(errCard);
+        }
+    }
+
+    // --- Tabs -----------------------------------------------------------------------
+
+    function showTab(name) {
+        tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === name));
+        studentsBody.classList.toggle('hidden', name !== 'students');
+        host.classList.toggle('hidden', name !== 'analytics');
+        if (name === 'analytics' && stale) render();
+    }
+
+    tabs.forEach(t => t.addEventListener('click', e => { e.preventDefault(); showTab(t.dataset.tab); }));
+
+    if (typeof showReport === 'function') {
+        const _orig = showReport;
+        window.showReport = function () {
+            const result = _orig.apply(this, arguments);
+            refresh();
+            return result;
+        };
+    }
+
+    /** Marks the tab out of date (e.g. after an override) and redraws it when visible. */
+    function refresh() {
+        stale = true;
+        if (!host.classList.contains('hidden')) render();
+    }
+
+    window.classAnalytics = { render, refresh, stats, findRuleId, show: showTab };
+})();
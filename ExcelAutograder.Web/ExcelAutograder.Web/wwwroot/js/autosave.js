@@ -0,0 +1,241 @@
+/**
+ * Draft Autosave + Crash Recovery
+ * -------------------------------
+ * Persists the builder rubric to IndexedDB so a closed tab or browser crash
+ * does not lose work. Wraps `render()` and `refreshJsonPreview()` and saves a
+ * debounced snapshot into this session's autosave slot; older sessions'
+ * autosaves are kept (up to AUTO_KEEP) next to drafts saved under a name.
+ * Clearing the builder saves the empty state too, so it is not "recovered".
+ * On load, offers the newest draft from a previous session in #draftBanner
+ * (unless that draft is empty) and feeds the chosen draft back through
+ * `loadRubric()`.
+ */
+(function () {
+    const DB_NAME = 'excel-autograder';
+    const STORE = 'drafts';
+    const AUTO_KEEP = 5;        // timestamped autosaves kept across sessions
+    const DEBOUNCE_MS = 800;
+
+    if (!window.indexedDB) return; // nothing to persist into (old browser / private mode)
+
+    const sessionId = 'auto-' + Date.now();
+    let lastSaved = '';
+    let timer = null;
+
+    // --- IndexedDB helpers ----------------------------------------------------
+
+    let dbPromise = null;
+
+    /**
+     * Opens (and creates on first use) the drafts database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'id' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Runs one request against the drafts store and resolves with its result.
+     * @param {'readonly'|'readwrite'} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} fn
+     * @returns {Promise<any>}
+     */
+    async function withStore(mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Lists all drafts, newest first.
+     * @returns {Promise<Array<{id:string, name:(string|null), auto:boolean, savedAt:number, rubric:object}>>}
+     */
+    async function listDrafts() {
+        const all = await withStore('readonly', s => s.getAll());
+        return (all || []).sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    const putDraft = d => withStore('readwrite', s => s.put(d));
+    const deleteDraft = id => withStore('readwrite', s => s.delete(id));
+
+    // --- Saving ---------------------------------------------------------------
+
+    /**
+     * True when the rubric has nothing worth recovering (no sheets at all).
+     * @param {object} rub
+     * @returns {boolean}
+     */
+    function isEmpty(rub) {
+        return !rub || Object.keys(rub.sheets || {}).length === 0;
+    }
+
+    /**
+     * Writes the current rubric into this session's autosave slot if it changed,
+     * then prunes autosaves beyond AUTO_KEEP. An empty builder is only saved
+     * once this session has saved something (i.e. the user cleared it).
+     */
+    async function autosaveNow() {
+        timer = null;
+        let text;
+        try { text = JSON.stringify(rubric); } catch (e) { return; }
+        if (text === lastSaved || (isEmpty(rubric) && !lastSaved)) return;
+        try {
+            await putDraft({ id: sessionId, name: null, auto: true, savedAt: Date.now(), rubric: JSON.parse(text) });
+            lastSaved = text;
+            const autos = (await listDrafts()).filter(d => d.auto);
+            for (const d of autos.slice(AUTO_KEEP)) await deleteDraft(d.id);
+            refreshDraftPicker();
+        } catch (e) { console.warn('Autosave failed', e); }
+    }
+
+    /** Schedules an autosave after the UI settles. */
+    function scheduleAutosave() {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(autosaveNow, DEBOUNCE_MS);
+    }
+
+    /**
+     * Saves the current rubric as a named draft (kept until deleted).
+     * @param {string} name
+     */
+    async function saveNamedDraft(name) {
+        const id = 'named-' + name.toLowerCase();
+        await putDraft({ id, name, auto: false, savedAt: Date.now(), rubric: JSON.parse(JSON.stringify(rubric)) });
+        await refreshDraftPicker(id);
+    }
+
+    // --- UI ---------------------------------------------------------------------
+
+    const fmtTime = t => {
+        const d = new Date(t);
+        const sameDay = d.toDateString() === new Date().toDateString();
+        const hm = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return sameDay ? hm : `${d.toLocaleDateString()} ${hm}`;
+    };
+
+    /**
+     * Display text for a draft in the picker / banner.
+     * @param {{name:(string|null), auto:boolean, savedAt:number, id:string}} d
+     * @returns {string}
+     */
+    function draftLabel(d) {
+        const sheets = Object.keys(d.rubric?.sheets || {}).length;
+        const what = d.auto ? (d.id === sessionId ? 'Autosave (this session)' : 'Autosave') : d.name;
+        return `${what} — ${fmtTime(d.savedAt)} (${sheets} ${sheets === 1 ? 'sheet' : 'sheets'})`;
+    }
+
+    /**
+     * Rebuilds the #draftPicker options from the store.
+     * @param {string} [selectId] - Draft id to select afterwards (keeps current choice otherwise).
+     */
+    async function refreshDraftPicker(selectId) {
+        const sel = document.getElementById('draftPicker');
+        if (!sel) return;
+        const keep = selectId || sel.value;
+        let drafts = [];
+        try { drafts = await listDrafts(); } catch (e) { return; }
+        sel.innerHTML = '';
+        sel.append(new Option(drafts.length ? 'Drafts…' : '(no drafts yet)', '', true, false));
+        for (const d of drafts) sel.append(new Option(draftLabel(d), d.id));
+        if ([...sel.options].some(o => o.value === keep)) sel.value = keep;
+    }
+
+    /**
+     * Loads a stored draft into the builder (undoable).
+     * @param {string} id
+     */
+    async function restoreDraft(id) {
+        const d = (await listDrafts()).find(x => x.id === id);
+        if (!d) return;
+        if (typeof noteEdit === 'function') noteEdit(`Restored draft from ${fmtTime(d.savedAt)}`);
+        loadRubric(d.rubric);
+    }
+
+    /**
+     * Shows "Restore draft from HH:MM?" for the newest draft of an earlier session.
+     *
+     * Expected DOM: #draftBanner (hidden container).
+     */
+    async function offerRecovery() {
+        const banner = document.getElementById('draftBanner');
+        if (!banner) return;
+        let drafts = [];
+        try { drafts = (await listDrafts()).filter(d => d.id !== sessionId); } catch (e) { return; }
+        const d = drafts[0];
+        if (!d || isEmpty(d.rubric)) return; // nothing, or the last session ended with a cleared builder
+
+        banner.innerHTML = '';
+        const msg = document.createElement('span');
+        msg.textContent = `Restore draft from ${fmtTime(d.savedAt)}?`;
+        const info = document.createElement('span');
+        info.className = 'tiny muted';
+        info.textContent = draftLabel(d);
+        const btnYes = document.createElement('button'); btnYes.className = 'primary'; btnYes.textContent = 'Restore';
+        const btnNo = document.createElement('button'); btnNo.className = 'ghost'; btnNo.textContent = 'Dismiss';
+        btnYes.onclick = async () => { banner.classList.add('hidden'); await restoreDraft(d.id); };
+        btnNo.onclick = () => banner.classList.add('hidden');
+        banner.append(msg, info, btnYes, btnNo);
+        banner.classList.remove('hidden');
+    }
+
+    // --- Hooks ------------------------------------------------------------------
+
+    if (typeof render === 'function') {
+        const _orig = render;
+        window.render = function () {
+            const result = _orig.apply(this, arguments);
+            scheduleAutosave();
+            return result;
+        };
+    }
+
+    if (typeof refreshJsonPreview === 'function') {
+        const _orig = refreshJsonPreview;
+        window.refreshJsonPreview = function () {
+            const result = _orig.apply(this, arguments);
+            scheduleAutosave();
+            return result;
+        };
+    }
+
+    document.getElementById('btnDraftSave')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const name = prompt('Save draft as:', document.getElementById('jsonFilename')?.value.trim() || '');
+        if (!name || !name.trim()) return;
+        try { await saveNamedDraft(name.trim()); }
+        catch (err) { alert('Could not save draft: ' + (err?.message || err)); }
+    });
+
+    document.getElementById('btnDraftRestore')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const id = document.getElementById('draftPicker')?.value;
+        if (!id) return alert('Pick a draft first.');
+        await restoreDraft(id);
+    });
+
+    document.getElementById('btnDraftDelete')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const id = document.getElementById('draftPicker')?.value;
+        if (!id) return;
+        if (!confirm('Delete this draft?')) return;
+        await deleteDraft(id);
+        await refreshDraftPicker();
+    });
+
+    refreshDraftPicker();
+    offerRecovery();
+})();
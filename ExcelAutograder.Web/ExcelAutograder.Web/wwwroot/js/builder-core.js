@@ -61,6 +61,17 @@ function ensureRuleIds() {
     }
 }
 
+/** Select or deselect rules by id, keep every checkbox for those rules in sync
+ * (sheet list, rail, rule editors) and announce the change with a `ruleselectionchange` event.
+ * @param {string[]} ids - Rule `__id`s.
+ * @param {boolean} on - true to select, false to deselect.
+ */
+function setRuleSelection(ids, on) {
+    for (const id of ids) { if (on) UI.selected.add(id); else UI.selected.delete(id); }
+    document.querySelectorAll('input.rule-select[data-id]').forEach(b => { b.checked = UI.selected.has(b.dataset.id); });
+    document.dispatchEvent(new CustomEvent('ruleselectionchange'));
+}
+
 // --- PIVOT HELPERS (UI) ---
 /** Normalize and attach a pivot spec to a rule (UI-friendly shape).
  * @param {object} r - Rule object (mutated).
@@ -171,6 +182,7 @@ function sortKey(rule, idx) {
         case 'cell': return [cell, t, idx];
         case 'type': return [t, cell, idx];
         case 'section-type-cell': return [sec, t, cell, idx];
+        case 'manual': return [sec, idx];
         case 'section-cell':
         default: return [sec, cell, idx];
     }
@@ -182,6 +194,15 @@ function sortKey(rule, idx) {
 */
 function esc(s) { return (s ?? '').toString().replace(/&/g, '&amp;').replace(/</g, '&lt;'); }
 
+/** Short human label for a rule (cell, range or type) used in history entries and messages.
+* @param {object} rule
+* @returns {string}
+*/
+function ruleLabel(rule) {
+    const loc = (rule?.cell || rule?.range || '').toString().trim();
+    return loc ? `${loc} (${rule.type || 'rule'})` : (rule?.type || 'rule');
+}
+
 // -------- Compact rules list used both in sheets and in the right rail
 
 /** Render the compact list of rules for a sheet, optionally grouped by section.
@@ -191,6 +212,7 @@ function esc(s) { return (s ?? '').toString().replace(/&/g, '&amp;').replace(/</
  */
 function renderRulesList(sheetName, spec, host) {
     host.innerHTML = '';
+    host.dataset.sheet = sheetName; // drop target for drag-and-drop (dragdrop.js)
 
     const rows = (spec.checks || [])
         .map((r, i) => [r, i])
@@ -215,7 +237,14 @@ function renderRulesList(sheetName, spec, host) {
                                                 <span class="chev">▾</span>
                                                 <strong>${esc(sec)}</strong>
                                                 <span class="count">${arr.length} ${arr.length === 1 ? 'rule' : 'rules'}</span>
+                                                <button class="ghost btn-mini sel-all" title="Select all in this section (click again to clear)">☑</button>
                                                 `);
+            head.dataset.section = arr[0][0].section || ''; // '' = "(No section)"
+            head.querySelector('.sel-all').onclick = (ev) => {
+                ev.stopPropagation(); // don't fold the group
+                const ids = arr.map(([r]) => r.__id);
+                setRuleSelection(ids, !ids.every(id => UI.selected.has(id)));
+            };
             const isCollapsed = folded.has(sec);
             if (isCollapsed) { group.classList.add('collapsed'); head.querySelector('.chev').style.transform = 'rotate(-90deg)'; }
 
@@ -235,9 +264,8 @@ function renderRulesList(sheetName, spec, host) {
                                                 <div class="mono">${esc(r.type || '')}</div>
                                                 <div>${esc(r.note || '')}</div>
                                             `);
-                row.querySelector('.rule-select').onchange = (ev) => {
-                    if (ev.target.checked) UI.selected.add(id); else UI.selected.delete(id);
-                };
+                row.draggable = true; row.dataset.id = id;
+                row.querySelector('.rule-select').onchange = (ev) => setRuleSelection([id], ev.target.checked);
                 group.append(row);
             }
 
@@ -255,9 +283,8 @@ function renderRulesList(sheetName, spec, host) {
                                         <div class="mono">${esc(r.type || '')}</div>
                                         <div>${esc(r.note || '')}</div>
                                     `);
-        row.querySelector('.rule-select').onchange = (ev) => {
-            if (ev.target.checked) UI.selected.add(id); else UI.selected.delete(id);
-        };
+        row.draggable = true; row.dataset.id = id;
+        row.querySelector('.rule-select').onchange = (ev) => setRuleSelection([id], ev.target.checked);
         host.append(row);
     }
 }
@@ -330,7 +357,8 @@ if (elSort) {
         ['section-cell', 'Section ▸ Cell'],
         ['cell', 'Cell (A→Z)'],
         ['type', 'Type'],
-        ['section-type-cell', 'Section ▸ Type ▸ Cell']
+        ['section-type-cell', 'Section ▸ Type ▸ Cell'],
+        ['manual', 'Manual (drag to reorder)']
     ].forEach(([val, label]) => {
         const opt = document.createElement('option');
         opt.value = val;
@@ -497,6 +525,7 @@ document.getElementById('btnMoveToSection').onclick = () => {
     }
 
     const touchedSheets = new Set();
+    noteEdit(`Moved ${sel.length} ${sel.length === 1 ? 'rule' : 'rules'} to '${dest}'`);
 
     for (const [sheetName, spec] of Object.entries(rubric.sheets || {})) {
         const checks = spec.checks || [];
@@ -530,6 +559,7 @@ document.getElementById('rubricFile').addEventListener('change', async (e) => {
     try {
         const text = await f.text();
         const obj = JSON.parse(text);
+        noteEdit(`Loaded rubric '${f.name}'`);
         rubric = obj;
         render();
         refreshJsonPreview();
@@ -567,9 +597,10 @@ function sheetBlock(name, spec) {
     wrap.addEventListener('mouseenter', () => { UI.activeSheet = name; });
 
     const header = el('div', 'hstack');
+    const grip = el('span', 'drag-handle', '⠿'); grip.draggable = true; grip.title = 'Drag to reorder sheets';
     const nameInput = el('input'); nameInput.type = 'text'; nameInput.value = name; nameInput.style.width = '260px';
     const btnDup = el('button', 'ghost', 'Duplicate'); const btnDel = el('button', 'ghost danger', 'Remove');
-    header.append(el('div', '', '<span class="tiny">Sheet name</span><br/>'), nameInput, btnDup, btnDel);
+    header.append(grip, el('div', '', '<span class="tiny">Sheet name</span><br/>'), nameInput, btnDup, btnDel);
     wrap.append(header);
 
     // COMPACT (grouped) LIST just above the full editors
@@ -581,10 +612,13 @@ function sheetBlock(name, spec) {
     (spec.checks || []).forEach((r, i) => list.append(ruleBlock(name, spec, r, i)));
     wrap.append(list);
 
-    const btnAdd = el('button', 'ghost', '+ Add Rule'); btnAdd.onclick = () => { spec.checks.push(emptyRule('formula')); render(); }; wrap.append(btnAdd);
-    nameInput.onchange = () => { const newName = (nameInput.value || 'Sheet').trim(); if (newName !== name) { rubric.sheets[newName] = spec; delete rubric.sheets[name]; render(); } };
-    btnDel.onclick = () => { delete rubric.sheets[name]; render(); };
-    btnDup.onclick = () => { let base = name + ' Copy', i = 1, c = base; while (rubric.sheets[c]) c = `${base} ${++i}`; rubric.sheets[c] = JSON.parse(JSON.stringify(spec)); render(); };
+    const btnAdd = el('button', 'ghost', '+ Add Rule'); btnAdd.onclick = () => { noteEdit(`Added rule to '${name}'`); spec.checks.push(emptyRule('formula')); render(); };
+    const addBar = el('div', 'hstack'); addBar.append(btnAdd);
+    if (typeof templatePicker === 'function') addBar.append(templatePicker(name)); // templates.js
+    wrap.append(addBar);
+    nameInput.onchange = () => { const newName = (nameInput.value || 'Sheet').trim(); if (newName !== name) { noteEdit(`Renamed sheet '${name}' to '${newName}'`); rubric.sheets[newName] = spec; delete rubric.sheets[name]; render(); } };
+    btnDel.onclick = () => { noteEdit(`Removed sheet '${name}'`); delete rubric.sheets[name]; render(); };
+    btnDup.onclick = () => { let base = name + ' Copy', i = 1, c = base; while (rubric.sheets[c]) c = `${base} ${++i}`; noteEdit(`Duplicated sheet '${name}'`); const copy = JSON.parse(JSON.stringify(spec)); (copy.checks || []).forEach(x => delete x.__id); rubric.sheets[c] = copy; render(); };
     return wrap;
 }
 
@@ -601,6 +635,26 @@ function ruleBlock(sheetName, spec, r, idx) {
 
     // ensure this rule has a stable id
     if (!r.__id) { UI.ruleSeq = (UI.ruleSeq || 1); r.__id = `r${UI.ruleSeq++}`; }
+    b.dataset.id = r.__id;
+
+    // shared by every type-specific Duplicate/Remove button below
+    const duplicateRule = () => {
+        noteEdit(`Duplicated rule ${ruleLabel(r)}`);
+        const copy = JSON.parse(JSON.stringify(r));
+        delete copy.__id; // the copy gets its own id on render
+        spec.checks.splice(idx + 1, 0, copy);
+        render();
+    };
+    const removeRule = () => {
+        noteEdit(`Removed rule ${ruleLabel(r)} from '${sheetName}'`);
+        spec.checks.splice(idx, 1);
+        render();
+    };
+
+    // any field edit inside this block is recorded as one history step
+    b.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('rule-select')) noteEdit(`Edited rule ${ruleLabel(r)}`);
+    }, true);
 
     const cb = document.createElement('input');
     cb.type = 'checkbox';
@@ -608,10 +662,7 @@ function ruleBlock(sheetName, spec, r, idx) {
     // use the same id system as the compact list / rail
     cb.dataset.id = r.__id;
     cb.checked = UI.selected.has(r.__id);
-    cb.onchange = (e) => {
-        if (e.target.checked) UI.selected.add(r.__id);
-        else UI.selected.delete(r.__id);
-    };
+    cb.onchange = (e) => setRuleSelection([r.__id], e.target.checked);
 
     // put it at the very left of the row
     const cbWrap = document.createElement('div');
@@ -628,11 +679,15 @@ function ruleBlock(sheetName, spec, r, idx) {
         if (t === r.type) o.selected = true;
         typeSel.append(o);
     });
-    const pts = el('input'); pts.type = 'number'; pts.step = '0.25'; pts.min = '0'; pts.value = r.points ?? 1;
+    const pts = el('input'); pts.type = 'number'; pts.step = String(rubric.meta?.pointsStep || 0.25); pts.min = '0'; pts.value = r.points ?? 1;
+    const lock = checkbox('🔒', !!r.points_locked); lock.wrap.title = 'Lock points (rebalancing skips this rule)';
     const cell = el('input'); cell.placeholder = 'e.g. B12'; cell.value = r.cell ?? '';
     const range = el('input'); range.placeholder = 'e.g. A2:B11'; range.value = r.range ?? '';
     const note = el('input'); note.placeholder = 'Note'; note.value = r.note ?? '';
 
+    // field markers let other modules (validation, search) find inputs by rule property
+    typeSel.dataset.field = 'type'; pts.dataset.field = 'points'; cell.dataset.field = 'cell'; range.dataset.field = 'range'; note.dataset.field = 'note';
+
     typeSel.style.minWidth = '160px';
     pts.style.width = '84px';
     cell.style.width = '140px';
@@ -655,10 +710,10 @@ function ruleBlock(sheetName, spec, r, idx) {
     arrows.append(btnUp, btnDown);
 
     btnUp.onclick = () => {
-        if (idx > 0) { [spec.checks[idx - 1], spec.checks[idx]] = [spec.checks[idx], spec.checks[idx - 1]]; render(); }
+        if (idx > 0) { noteEdit(`Moved rule ${ruleLabel(r)} up`); [spec.checks[idx - 1], spec.checks[idx]] = [spec.checks[idx], spec.checks[idx - 1]]; render(); }
     };
     btnDown.onclick = () => {
-        if (idx < spec.checks.length - 1) { [spec.checks[idx + 1], spec.checks[idx]] = [spec.checks[idx], spec.checks[idx + 1]]; render(); }
+        if (idx < spec.checks.length - 1) { noteEdit(`Moved rule ${ruleLabel(r)} down`); [spec.checks[idx + 1], spec.checks[idx]] = [spec.checks[idx], spec.checks[idx + 1]]; render(); }
     };
 
     row1.append(
@@ -666,6 +721,7 @@ function ruleBlock(sheetName, spec, r, idx) {
         labelledSection,
         labelled(typeSel, 'Type'),
         labelled(pts, 'Pts'),
+        lock.wrap,
         labelled(cell, 'Cell'),
         labelled(range, 'Range')
     );
@@ -950,8 +1006,8 @@ function ruleBlock(sheetName, spec, r, idx) {
 
             const btnDup = el('button', 'ghost', 'Duplicate');
             const btnDel = el('button', 'ghost danger', 'Remove');
-            btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
-            btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
+            btnDup.onclick = duplicateRule;
+            btnDel.onclick = removeRule;
 
             const anyWrap = el('div', 'stack');
             anyWrap.append(
@@ -1081,8 +1137,8 @@ function ruleBlock(sheetName, spec, r, idx) {
 
             const btnDup = el('button', 'ghost', 'Duplicate');
             const btnDel = el('button', 'ghost danger', 'Remove');
-            btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
-            btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
+            btnDup.onclick = duplicateRule;
+            btnDel.onclick = removeRule;
             row2.append(btnDup, btnDel);
         } else if (type === 'range_sequence') { row2.append(labelled(start, 'Start'), labelled(step, 'Step'), btnDup, btnDel); }
         else if (type === 'pivot_layout') {
@@ -1112,8 +1168,8 @@ function ruleBlock(sheetName, spec, r, idx) {
 
             row2.append(grid);
             const btnDup = el('button', 'ghost', 'Duplicate'); const btnDel = el('button', 'ghost danger', 'Remove');
-            btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
-            btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
+            btnDup.onclick = duplicateRule;
+            btnDel.onclick = removeRule;
             row2.append(btnDup, btnDel);
         } else if (type === 'conditional_format') {
             const mkLabeled = (labelText, control) => {
@@ -1185,8 +1241,8 @@ function ruleBlock(sheetName, spec, r, idx) {
 
             const btnDup = el('button', 'ghost', 'Duplicate');
             const btnDel = el('button', 'ghost danger', 'Remove');
-            btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
-            btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
+            btnDup.onclick = duplicateRule;
+            btnDel.onclick = removeRule;
             row2.append(btnDup, btnDel);
 
             const save = () => {
@@ -1303,8 +1359,8 @@ function ruleBlock(sheetName, spec, r, idx) {
 
             const btnDup = el('button', 'ghost', 'Duplicate');
             const btnDel = el('button', 'ghost danger', 'Remove');
-            btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
-            btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
+            btnDup.onclick = duplicateRule;
+            btnDel.onclick = removeRule;
             row2.append(btnDup, btnDel);
         } else if (type === 'table') {
             const t = ensureTable(r);
@@ -1541,15 +1597,15 @@ function ruleBlock(sheetName, spec, r, idx) {
 
             const btnDup = el('button', 'ghost', 'Duplicate');
             const btnDel = el('button', 'ghost danger', 'Remove');
-            btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
-            btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
+            btnDup.onclick = duplicateRule;
+            btnDel.onclick = removeRule;
             row2.append(btnDup, btnDel);
 
             renderColumns();
         } else {
             const btnDup = el('button', 'ghost', 'Duplicate'); const btnDel = el('button', 'ghost danger', 'Remove');
-            btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
-            btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
+            btnDup.onclick = duplicateRule;
+            btnDel.onclick = removeRule;
             row2.append(btnDup, btnDel);
         }
     }
@@ -1558,6 +1614,7 @@ function ruleBlock(sheetName, spec, r, idx) {
 
     typeSel.onchange = () => { r.type = typeSel.value; showFor(r.type); refreshJsonPreview(); };
     pts.onchange = () => { r.points = +pts.value || 0; refreshJsonPreview(); };
+    lock.input.onchange = () => { r.points_locked = lock.input.checked ? true : null; refreshJsonPreview(); };
     cell.onchange = () => { r.cell = cell.value.trim() || null; refreshJsonPreview(); };
     range.onchange = () => { r.range = range.value.trim() || null; refreshJsonPreview(); };
     note.onchange = () => { r.note = note.value.trim() || null; refreshJsonPreview(); };
@@ -1568,8 +1625,8 @@ function ruleBlock(sheetName, spec, r, idx) {
     numFmt.onchange = () => { if (!r.format) r.format = {}; r.format.number_format = numFmt.value.trim() || null; refreshJsonPreview(); };
     start.onchange = () => { r.start = start.value === '' ? null : +start.value; refreshJsonPreview(); };
     step.onchange = () => { r.step = step.value === '' ? null : +step.value; refreshJsonPreview(); };
-    btnDel.onclick = () => { spec.checks.splice(idx, 1); render(); };
-    btnDup.onclick = () => { spec.checks.splice(idx + 1, 0, JSON.parse(JSON.stringify(r))); render(); };
+    btnDel.onclick = removeRule;
+    btnDup.onclick = duplicateRule;
     return b;
 }
 
@@ -1609,7 +1666,14 @@ function collectRubric() {
  */
 function loadRubric(json) {
     rubric = { points: json.points ?? 5, report: json.report ?? { include_pass_fail_column: true, include_comments: true }, sheets: {} };
-    if (json.sheets) { for (const [name, spec] of Object.entries(json.sheets)) { rubric.sheets[name] = { checks: Array.isArray(spec.checks) ? spec.checks : [] }; } }
+    if (json.scoring) rubric.scoring = json.scoring;
+    if (json.meta) rubric.meta = json.meta;
+    if (json.sheets) {
+        for (const [name, spec] of Object.entries(json.sheets)) {
+            rubric.sheets[name] = { checks: Array.isArray(spec.checks) ? spec.checks : [] };
+            if (Array.isArray(spec.section_order)) rubric.sheets[name].section_order = spec.section_order;
+        }
+    }
     render();
 }
 
@@ -1736,8 +1800,8 @@ function renderGroupedResults(graded, rubric) {
 }
 
 // ---------- actions
-$('#btnAddSheet').onclick = () => { let base = 'Sheet', i = 1, name = base; while (rubric.sheets[name]) name = base + ' ' + (++i); rubric.sheets[name] = { checks: [emptyRule('formula')] }; render(); };
-$('#btnClear').onclick = () => { rubric = { points: +($('#totalPoints').value || 5), report: { include_pass_fail_column: $('#optPassFail').checked, include_comments: $('#optComments').checked }, sheets: {} }; render(); };
+$('#btnAddSheet').onclick = () => { let base = 'Sheet', i = 1, name = base; while (rubric.sheets[name]) name = base + ' ' + (++i); noteEdit(`Added sheet '${name}'`); rubric.sheets[name] = { checks: [emptyRule('formula')] }; render(); };
+$('#btnClear').onclick = () => { noteEdit('Cleared builder'); rubric = { points: +($('#totalPoints').value || 5), report: { include_pass_fail_column: $('#optPassFail').checked, include_comments: $('#optComments').checked }, sheets: {} }; render(); };
 $('#btnGenerateJson').onclick = () => { $('#jsonBox').value = JSON.stringify(collectRubric(), null, 2); };
 document.getElementById('btnDownloadJson')
     ?.addEventListener('click', (e) => {
@@ -1803,6 +1867,7 @@ async function generateFromKey() {
         if (!res.ok) { const t = await res.text(); throw new Error(t || `HTTP ${res.status}`); }
         const rub = await res.json();
         $('#jsonBox').value = JSON.stringify(rub, null, 2);
+        noteEdit('Generated rubric from key');
         rubric = rub;
         render();
     } catch (err) {
@@ -1814,25 +1879,45 @@ async function generateFromKey() {
 $('#btnGenerate').addEventListener('click', e => { e.preventDefault(); generateFromKey(); });
 
 // ---------- grading
+/** Parse the rubric a grading form sends (uploaded file, current JSON or text); null for a library rubric.
+* @param {FormData} fd
+* @returns {Promise<object|null>}
+*/
+async function rubricOfForm(fd) {
+    const f = fd.get('rubricJson') || fd.get('rubric') || fd.get('rubric_json');
+    if (!f) return null;
+    try { return JSON.parse(typeof f === 'string' ? f : await f.text()); } catch { return null; }
+}
+
+/** Send a grading form (key, rubric, students) to /api/grade and show the report.
+* @param {FormData} fd
+*/
+async function runGrade(fd) {
+    const graded = await rubricOfForm(fd);
+    const res = await fetch('/api/grade', { method: 'POST', body: fd });
+    const txt = await res.text();
+    if (!res.ok) { alert(txt || `HTTP ${res.status}`); return; }
+    showReport(txt, graded);
+}
+
 $('#btnGradeWithFile').onclick = async () => {
     try {
         const key = $('#keyFile').files[0];
         const rub = $('#rubricFile').files[0];
+        const libName = $('#gradeRubricName')?.value || '';
         const studs = $('#studentFiles').files;
-        if (!key || !rub || !studs.length) {
-            alert('Pick a key, a rubric file, and at least one student workbook.');
+        if (!key || !(rub || libName) || !studs.length) {
+            alert('Pick a key, a rubric file (or a library rubric), and at least one student workbook.');
             return;
         }
 
         const fd = new FormData();
         fd.append('key', key);
-        fd.append('rubric', rub);
+        if (rub) fd.append('rubric', rub);
+        else fd.append('rubric_name', libName);
         for (const f of studs) fd.append('students', f);
 
-        const res = await fetch('/api/grade', { method: 'POST', body: fd });
-        const txt = await res.text();
-        if (!res.ok) { alert(txt || `HTTP ${res.status}`); return; }
-        showReport(txt);
+        await runGrade(fd);
     } catch (err) { console.error(err); alert('Grade failed'); }
 };
 
@@ -1851,16 +1936,45 @@ $('#btnGradeWithJson').onclick = async () => {
         fd.append('rubricJson', jsonBlob, 'rubric.json');
         for (const f of studs) fd.append('students', f);
 
-        const res = await fetch('/api/grade', { method: 'POST', body: fd });
-        const txt = await res.text();
-        if (!res.ok) { alert(txt || `HTTP ${res.status}`); return; }
-        showReport(txt);
+        await runGrade(fd);
     } catch (err) { console.error(err); alert('Grade failed'); }
 };
 
 // ---------- results viewer
 let lastReportRaw = '';
-$('#btnDownloadReport').onclick = () => { if (!lastReportRaw) { alert('Nothing to download yet.'); return; } download('report.json', lastReportRaw); };
+let lastReportData = null; // parsed lastReportRaw; its rows are the objects rendered into #resultsBody
+let lastReportRubric = null; // rubric the report on screen was graded with; null = use #jsonBox
+$('#btnDownloadReport').onclick = () => { if (!lastReportRaw) { alert('Nothing to download yet.'); return; } download('report.json', bundledReport()); };
+
+/** The report on screen as saved by "Download report": { rubric, results } when the rubric is known, else lastReportRaw as is.
+* @returns {string}
+*/
+function bundledReport() {
+    if (!lastReportRubric || !lastReportData) return lastReportRaw;
+    const body = Array.isArray(lastReportData) ? { results: lastReportData } : lastReportData;
+    return JSON.stringify({ ...body, rubric: lastReportRubric }, null, 2);
+}
+
+// "Load report…": reopen a saved report.json (overrides and their audit trail are part of the rows)
+$('#btnLoadReport').onclick = () => $('#reportFile').click();
+$('#reportFile').addEventListener('change', async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = '';
+    if (!f) return;
+    if (window.gradeStream?.running()) { alert('A grading run is in progress. Cancel it before loading a report.'); return; }
+    let text, data;
+    try {
+        text = await f.text();
+        data = JSON.parse(text);
+    } catch (err) {
+        alert(`Could not read '${f.name}': ` + (err?.message || err));
+        return;
+    }
+    const rows = Array.isArray(data) ? data : (data?.results ?? data?.students);
+    if (!Array.isArray(rows)) { alert(`'${f.name}' is not a grading report (expected a list of results).`); return; }
+    window.gradeStream?.reset();
+    showReport(text);
+});
 
 /** Produce a stable “rule key” string used to map rules to section labels across runs.
 * @param {object} r - Rule.
@@ -1944,41 +2058,26 @@ function guessSectionFromLabel(label) {
     return '(no section)';
 }
 
-/** Render the full results card/table from a raw JSON response string produced by /api/grade.
-* Groups by sheet then section, ordered by rubric hints; updates download cache.
-* @param {string} text - JSON string from server (single or multi-student).
+/** Read section-ordering hints and scoring settings from the rubric the report was graded with,
+* else from the rubric in #jsonBox (used when rendering results).
+* @returns {{rubricMeta:object, rubricSheets:object, rubricScoring:object}}
 */
-function showReport(text) {
-    // 1) Parse payload
-    let data;
-    try { data = JSON.parse(text); } catch { alert('Bad JSON from server'); return; }
-    lastReportRaw = text;
-
-    // 2) Normalize rows (supports single result, {students}, {results})
-    let rows = [];
-    if (Array.isArray(data)) rows = data;
-    else if (Array.isArray(data.students)) rows = data.students;
-    else if (Array.isArray(data.results)) rows = data.results;
-
-    const body = document.getElementById('resultsBody');
-    if (!body) { console.error('#resultsBody not found'); alert('Internal error: results container missing.'); return; }
-    body.innerHTML = '';
-
-    if (!rows.length) {
-        const card = el('div', 'card', '<div class="muted">No results to show.</div>');
-        body.appendChild(card);
-        document.getElementById('resultsCard').style.display = '';
-        return;
-    }
-
-    // 3) Try to read rubric (for section ordering)
-    let rubricJson = null;
-    try {
+function reportContext() {
+    let rubricJson = lastReportRubric;
+    if (!rubricJson) try {
         const j = document.getElementById('jsonBox')?.value;
         if (j) rubricJson = JSON.parse(j);
     } catch (_) { /* ignore */ }
-    const rubricMeta = rubricJson?.meta || {};
-    const rubricSheets = rubricJson?.sheets || {};
+    return { rubricMeta: rubricJson?.meta || {}, rubricSheets: rubricJson?.sheets || {}, rubricScoring: rubricJson?.scoring || {} };
+}
+
+/** Build the results card of one student: { student, grade }, { student, error } or a bare grade.
+* @param {object} r - One result row.
+* @param {{rubricMeta:object, rubricSheets:object}} ctx - From reportContext().
+* @returns {HTMLElement}
+*/
+function renderStudentCard(r, ctx) {
+    const { rubricMeta, rubricSheets } = ctx;
 
     // Helper to render a single row (unchanged behavior)
     const renderRow = (d) => {
@@ -1988,6 +2087,7 @@ function showReport(text) {
 
         const tr = document.createElement('tr');
         tr.dataset.status = okBool ? 'pass' : (partialBool ? 'partial' : 'fail');
+        tr.dataset.detail = String(details.indexOf(d));
 
         tr.innerHTML = `
       <td class="mono">${escapeHtml(d.check ?? d.rule ?? '')}</td>
@@ -2003,124 +2103,155 @@ function showReport(text) {
         return tr;
     };
 
-    for (const r of rows) {
-        // error rows
-        if (r && r.error && (r.student || r.name)) {
-            const card = el('div', 'card');
-            const hdr = el('div', 'hstack');
-            hdr.innerHTML = `<h3>${escapeHtml(r.student ?? r.name ?? 'Student')}</h3>
-                       <span class="tag fail">FAIL</span>
-                       <span class="muted">${escapeHtml(String(r.error))}</span>`;
-            card.appendChild(hdr);
-            body.appendChild(card);
-            continue;
-        }
-
-        const isNested = r && typeof r.grade === 'object';
-        const grade = isNested ? r.grade : r;
-
-        const name = isNested ? (r.student ?? r.name ?? 'Student')
-            : (grade.name ?? r.student ?? 'Student');
-        const points = grade.total_points ?? grade.points ?? grade.Points ?? 0;
-        const earned = grade.score_numeric ?? grade.earned ?? grade.Earned ?? 0;
-        const details = grade.details ?? grade.Details ?? [];
-
-        const pNum = Number(points), eNum = Number(earned);
-        const headerPass = pNum > 0 && Math.abs(eNum - pNum) < 1e-9;
-        const headerClass = headerPass ? 'pass' : 'fail';
-        const headerStatus = headerPass ? 'PASS' : 'FAIL';
-
+    // error rows
+    if (r && r.error && (r.student || r.name)) {
         const card = el('div', 'card');
         const hdr = el('div', 'hstack');
-        hdr.innerHTML = `<h3>${escapeHtml(name)}</h3>
-                     <span class="tag ${headerClass}">${headerStatus}</span>
-                     <span class="muted">Score ${fmtNum(earned)}/${fmtNum(points)}</span>`;
+        hdr.innerHTML = `<h3>${escapeHtml(r.student ?? r.name ?? 'Student')}</h3>
+                   <span class="tag fail">FAIL</span>
+                   <span class="muted">${escapeHtml(String(r.error))}</span>`;
         card.appendChild(hdr);
+        return card;
+    }
 
-        const tbl = el('table');
-        const thead = el('thead');
-        thead.innerHTML = `<tr>
-                                      <th>Check</th><th>Points</th><th>Earned</th><th>Result</th><th>Comment</th>
-                                    </tr>`;
-        tbl.appendChild(thead);
-
-        const tb = document.createElement('tbody');
-
-        // ===== NEW: group strictly by SHEET then by SECTION coming from backend =====
-        // Build: Map<sheet, Map<section, rows[]>>
-        const bySheet = new Map();
-        for (const d of details) {
-            const sh = (d.sheet || '(Unknown sheet)').toString();
-            const sec = (d.section || '(No section)').toString();
-            if (!bySheet.has(sh)) bySheet.set(sh, new Map());
-            const m = bySheet.get(sh);
-            if (!m.has(sec)) m.set(sec, []);
-            m.get(sec).push(d);
-        }
+    const isNested = r && typeof r.grade === 'object';
+    const grade = isNested ? r.grade : r;
+
+    const name = isNested ? (r.student ?? r.name ?? 'Student')
+        : (grade.name ?? r.student ?? 'Student');
+    const points = grade.total_points ?? grade.points ?? grade.Points ?? 0;
+    const earned = grade.score_numeric ?? grade.earned ?? grade.Earned ?? 0;
+    const details = grade.details ?? grade.Details ?? [];
+
+    const pNum = Number(points), eNum = Number(earned);
+    const headerPass = pNum > 0 && Math.abs(eNum - pNum) < 1e-9;
+    const headerClass = headerPass ? 'pass' : 'fail';
+    const headerStatus = headerPass ? 'PASS' : 'FAIL';
+
+    const card = el('div', 'card');
+    const hdr = el('div', 'hstack');
+    hdr.innerHTML = `<h3>${escapeHtml(name)}</h3>
+                 <span class="tag ${headerClass}">${headerStatus}</span>
+                 <span class="muted">Score ${fmtNum(earned)}/${fmtNum(points)}</span>`;
+    card.appendChild(hdr);
+
+    const tbl = el('table');
+    const thead = el('thead');
+    thead.innerHTML = `<tr>
+                                  <th>Check</th><th>Points</th><th>Earned</th><th>Result</th><th>Comment</th>
+                                </tr>`;
+    tbl.appendChild(thead);
+
+    const tb = document.createElement('tbody');
+
+    // ===== NEW: group strictly by SHEET then by SECTION coming from backend =====
+    // Build: Map<sheet, Map<section, rows[]>>
+    const bySheet = new Map();
+    for (const d of details) {
+        const sh = (d.sheet || '(Unknown sheet)').toString();
+        const sec = (d.section || '(No section)').toString();
+        if (!bySheet.has(sh)) bySheet.set(sh, new Map());
+        const m = bySheet.get(sh);
+        if (!m.has(sec)) m.set(sec, []);
+        m.get(sec).push(d);
+    }
 
-        // Decide sheet render order (use rubric order of sheets if we can)
-        const rubricSheetNames = Object.keys(rubricSheets);
-        const isStrict = (typeof window !== 'undefined' && typeof window.isStrict !== 'undefined') ? window.isStrict === true : false;
-        const seenSheets = new Set();
-        const orderedSheets = [];
-
-        // first: any sheets present in rubric, in rubric order
-        for (const sh of rubricSheetNames) if (bySheet.has(sh)) { orderedSheets.push(sh); seenSheets.add(sh); }
-        // then: any remaining sheets
-        for (const sh of bySheet.keys()) if (!seenSheets.has(sh)) orderedSheets.push(sh);
-
-        for (const sheetName of orderedSheets) {
-            // Sheet header row
-            const trSheet = document.createElement('tr');
-            trSheet.className = 'section-row';
-            trSheet.innerHTML = `<td colspan="5" style="font-weight:700;">Sheet: ${escapeHtml(sheetName)}</td>`;
-            tb.appendChild(trSheet);
-
-            const secMap = bySheet.get(sheetName);
-
-            // Desired section order: per-sheet 'section_order' or global meta.sectionOrder
-            const desiredOrder = (isStrict && Array.isArray(rubricMeta.sectionOrder)) ? rubricMeta.sectionOrder
-                : (Array.isArray(rubricMeta.sectionOrder) && rubricMeta.sectionOrder.length
-                    ? rubricMeta.sectionOrder
-                    : (Array.isArray(rubricSheets?.[sheetName]?.section_order) ? rubricSheets[sheetName].section_order : []));
-
-            // Compute totals & order
-            const totals = new Map(); // section -> {points, earned}
-            for (const [sec, arr] of secMap) {
-                let pts = 0, earn = 0;
-                for (const d of arr) { pts += (+d.points || 0); earn += (+d.earned || 0); }
-                totals.set(sec, { points: pts, earned: earn });
-            }
+    // Decide sheet render order (use rubric order of sheets if we can)
+    const rubricSheetNames = Object.keys(rubricSheets);
+    const isStrict = (typeof window !== 'undefined' && typeof window.isStrict !== 'undefined') ? window.isStrict === true : false;
+    const seenSheets = new Set();
+    const orderedSheets = [];
+
+    // first: any sheets present in rubric, in rubric order
+    for (const sh of rubricSheetNames) if (bySheet.has(sh)) { orderedSheets.push(sh); seenSheets.add(sh); }
+    // then: any remaining sheets
+    for (const sh of bySheet.keys()) if (!seenSheets.has(sh)) orderedSheets.push(sh);
+
+    for (const sheetName of orderedSheets) {
+        // Sheet header row
+        const trSheet = document.createElement('tr');
+        trSheet.className = 'section-row';
+        trSheet.innerHTML = `<td colspan="5" style="font-weight:700;">Sheet: ${escapeHtml(sheetName)}</td>`;
+        tb.appendChild(trSheet);
+
+        const secMap = bySheet.get(sheetName);
+
+        // Desired section order: per-sheet 'section_order' or global meta.sectionOrder
+        const desiredOrder = (isStrict && Array.isArray(rubricMeta.sectionOrder)) ? rubricMeta.sectionOrder
+            : (Array.isArray(rubricMeta.sectionOrder) && rubricMeta.sectionOrder.length
+                ? rubricMeta.sectionOrder
+                : (Array.isArray(rubricSheets?.[sheetName]?.section_order) ? rubricSheets[sheetName].section_order : []));
+
+        // Compute totals & order
+        const totals = new Map(); // section -> {points, earned}
+        for (const [sec, arr] of secMap) {
+            let pts = 0, earn = 0;
+            for (const d of arr) { pts += (+d.points || 0); earn += (+d.earned || 0); }
+            totals.set(sec, { points: pts, earned: earn });
+        }
 
-            const presentSecs = Array.from(secMap.keys());
-            const used = new Set();
-            const orderedSecs = [];
-            for (const s of desiredOrder) if (secMap.has(s) && !used.has(s)) { orderedSecs.push(s); used.add(s); }
-            for (const s of presentSecs) if (!used.has(s)) orderedSecs.push(s);
-
-            // Render sections under this sheet
-            for (const sec of orderedSecs) {
-                const t = totals.get(sec) || { points: 0, earned: 0 };
-                const trHeader = document.createElement('tr');
-                trHeader.className = 'section-row';
-                trHeader.innerHTML = `
-                                              <td colspan="5" style="font-weight:600; padding-top:8px;">
-                                                ${escapeHtml(sec)} <span class="muted"> — ${fmtNum(t.earned)}/${fmtNum(t.points)}</span>
-                                              </td>`;
-                tb.appendChild(trHeader);
-
-                for (const d of secMap.get(sec)) {
-                    tb.appendChild(renderRow(d));
-                }
+        const presentSecs = Array.from(secMap.keys());
+        const used = new Set();
+        const orderedSecs = [];
+        for (const s of desiredOrder) if (secMap.has(s) && !used.has(s)) { orderedSecs.push(s); used.add(s); }
+        for (const s of presentSecs) if (!used.has(s)) orderedSecs.push(s);
+
+        // Render sections under this sheet
+        for (const sec of orderedSecs) {
+            const t = totals.get(sec) || { points: 0, earned: 0 };
+            const trHeader = document.createElement('tr');
+            trHeader.className = 'section-row';
+            trHeader.innerHTML = `
+                                          <td colspan="5" style="font-weight:600; padding-top:8px;">
+                                            ${escapeHtml(sec)} <span class="muted"> — ${fmtNum(t.earned)}/${fmtNum(t.points)}</span>
+                                          </td>`;
+            tb.appendChild(trHeader);
+
+            for (const d of secMap.get(sec)) {
+                tb.appendChild(renderRow(d));
             }
         }
-        // ===== END NEW GROUPING =====
+    }
+    // ===== END NEW GROUPING =====
+
+    tbl.appendChild(tb);
+    card.appendChild(tbl);
+    return card;
+}
+
+/** Render the full results card/table from a raw JSON response string produced by /api/grade.
+* Groups by sheet then section, ordered by rubric hints; updates download cache.
+* @param {string} text - JSON string from server (single or multi-student), or a saved report.json.
+* @param {object} [gradedRubric] - Rubric the report was graded with; a rubric bundled in `text` wins.
+*/
+function showReport(text, gradedRubric) {
+    // 1) Parse payload
+    let data;
+    try { data = JSON.parse(text); } catch { alert('Bad JSON from server'); return; }
+    lastReportRaw = text;
+    lastReportData = data;
+    lastReportRubric = (data && !Array.isArray(data) && data.rubric && typeof data.rubric === 'object') ? data.rubric : (gradedRubric || null);
+
+    // 2) Normalize rows (supports single result, {students}, {results})
+    let rows = [];
+    if (Array.isArray(data)) rows = data;
+    else if (Array.isArray(data.students)) rows = data.students;
+    else if (Array.isArray(data.results)) rows = data.results;
 
-        tbl.appendChild(tb);
-        card.appendChild(tbl);
+    const body = document.getElementById('resultsBody');
+    if (!body) { console.error('#resultsBody not found'); alert('Internal error: results container missing.'); return; }
+    body.innerHTML = '';
+
+    if (!rows.length) {
+        const card = el('div', 'card', '<div class="muted">No results to show.</div>');
         body.appendChild(card);
+        document.getElementById('resultsCard').style.display = '';
+        return;
     }
 
+    const ctx = reportContext();
+    for (const r of rows) body.appendChild(renderStudentCard(r, ctx));
+
     const on = localStorage.getItem('onlyMisses') === '1' || document.getElementById('toggleOnlyMisses')?.checked;
     document.getElementById('resultsCard')?.classList?.toggle('only-misses', !!on);
 
@@ -0,0 +1,217 @@
+/**
+ * Bulk Edit Drawer
+ * ----------------
+ * Edits every rule in `UI.selected` at once from #bulkDrawer: points, type,
+ * tolerance (set or clear), `require_absolute`, `expected_from_key`,
+ * appended notes, duplicate to another sheet, and delete. Fields where the
+ * selected rules disagree show as "mixed" (placeholder / indeterminate
+ * checkbox) and are only written when the user touches them.
+ *
+ * Also adds shift-click range selection to every `.rule-select` checkbox
+ * (compact lists, rail and rule editors).
+ */
+(function () {
+    const drawer = document.getElementById('bulkDrawer');
+    if (!drawer) return;
+
+    const $id = id => document.getElementById(id);
+    const fPoints = $id('bulkPoints');
+    const fType = $id('bulkType');
+    const fTol = $id('bulkTolerance');
+    const fAbs = $id('bulkRequireAbsolute');
+    const fFromKey = $id('bulkFromKey');
+    const fNote = $id('bulkNoteAppend');
+    const FIELDS = [fPoints, fType, fTol, fAbs, fFromKey, fNote];
+
+    /**
+     * Selected rules with their sheets, in rubric order.
+     * @returns {Array<{sheetName:string, spec:object, rule:object}>}
+     */
+    function selectedRules() {
+        const out = [];
+        for (const [sheetName, spec] of Object.entries(rubric.sheets || {}))
+            for (const rule of spec.checks || [])
+                if (UI.selected.has(rule.__id)) out.push({ sheetName, spec, rule });
+        return out;
+    }
+
+    /**
+     * The shared value of `key` across rules, or a marker when they differ.
+     * @param {object[]} rules
+     * @param {(r:object) => any} get
+     * @returns {{mixed:boolean, value:any}}
+     */
+    function common(rules, get) {
+        const vals = rules.map(get);
+        const first = vals[0];
+        return { mixed: vals.some(v => v !== first), value: first };
+    }
+
+    const touched = f => f.dataset.touched === '1';
+    const untouch = () => FIELDS.forEach(f => { if (f) delete f.dataset.touched; });
+
+    /** Fills untouched fields from the current selection and updates counts/buttons. */
+    function fill() {
+        const sel = selectedRules();
+        const rules = sel.map(x => x.rule);
+        const n = rules.length;
+
+        $id('bulkCount').textContent = `${n} ${n === 1 ? 'rule' : 'rules'} selected`;
+        const btnOpen = $id('btnBulkEdit');
+        if (btnOpen) btnOpen.textContent = n ? `Bulk edit (${n})…` : 'Bulk edit…';
+        drawer.querySelectorAll('button:not(#btnBulkClose)').forEach(b => { b.disabled = !n; });
+
+        if (!touched(fPoints)) {
+            const c = common(rules, r => r.points ?? null);
+            fPoints.value = !n || c.mixed || c.value == null ? '' : c.value;
+            fPoints.placeholder = c.mixed ? 'mixed' : '';
+        }
+        if (!touched(fType)) {
+            const c = common(rules, r => r.type || '');
+            fType.innerHTML = '';
+            if (!n || c.mixed) fType.append(new Option(n ? '(mixed)' : '', '', true, true));
+            RULE_TYPES.forEach(t => fType.append(new Option(t, t)));
+            if (n && !c.mixed) fType.value = c.value;
+        }
+        if (!touched(fTol)) {
+            const c = common(rules, r => r.tolerance ?? null);
+            fTol.value = !n || c.mixed || c.value == null ? '' : c.value;
+            fTol.placeholder = c.mixed ? 'mixed' : 'none';
+        }
+        for (const [box, key] of [[fAbs, 'require_absolute'], [fFromKey, 'expected_from_key']]) {
+            if (touched(box)) continue;
+            const c = common(rules, r => !!r[key]);
+            box.checked = n > 0 && !c.mixed && c.value;
+            box.indeterminate = c.mixed;
+            box.closest('label')?.classList.toggle('mixed', c.mixed);
+        }
+
+        const dup = $id('bulkDupSheet');
+        if (dup) {
+            const keep = dup.value;
+            dup.innerHTML = '';
+            Object.keys(rubric.sheets || {}).forEach(s => dup.append(new Option(s, s)));
+            if (keep && rubric.sheets?.[keep]) dup.value = keep;
+        }
+    }
+
+    // --- Actions ----------------------------------------------------------------
+
+    function applyFields() {
+        const rules = selectedRules().map(x => x.rule);
+        if (!rules.length) return;
+        const changes = [];
+
+        if (touched(fPoints) && fPoints.value !== '') {
+            const v = +fPoints.value;
+            if (!Number.isFinite(v) || v < 0) return alert('Points must be a number ≥ 0.');
+            changes.push(r => { r.points = v; });
+        }
+        if (touched(fType) && fType.value) changes.push(r => { r.type = fType.value; });
+        if (touched(fTol)) {
+            const raw = fTol.value.trim();
+            const v = raw === '' ? null : +raw;
+            if (v !== null && !(Number.isFinite(v) && v >= 0)) return alert('Tolerance must be a number ≥ 0 (or empty to clear).');
+            changes.push(r => { r.tolerance = v; });
+        }
+        if (touched(fAbs)) changes.push(r => { r.require_absolute = fAbs.checked ? true : null; });
+        if (touched(fFromKey)) changes.push(r => { r.expected_from_key = fFromKey.checked ? true : null; });
+        const extra = fNote.value.trim();
+        if (extra) changes.push(r => { r.note = [r.note, extra].filter(s => s && String(s).trim()).join(' '); });
+
+        if (!changes.length) return alert('Change at least one field first.');
+
+        noteEdit(`Bulk edited ${rules.length} ${rules.length === 1 ? 'rule' : 'rules'}`);
+        rules.forEach(r => changes.forEach(fn => fn(r)));
+        untouch();
+        fNote.value = '';
+        render();
+    }
+
+    function duplicateToSheet() {
+        const target = $id('bulkDupSheet')?.value;
+        const spec = rubric.sheets?.[target];
+        const sel = selectedRules();
+        if (!spec || !sel.length) return;
+
+        noteEdit(`Duplicated ${sel.length} ${sel.length === 1 ? 'rule' : 'rules'} to '${target}'`);
+        spec.checks = spec.checks || [];
+        for (const { rule } of sel) {
+            const copy = JSON.parse(JSON.stringify(rule));
+            delete copy.__id; // gets its own id on render
+            spec.checks.push(copy);
+            if (copy.section) registerSection(copy.section, target);
+        }
+        render();
+    }
+
+    function deleteSelected() {
+        const sel = selectedRules();
+        if (!sel.length) return;
+        if (!confirm(`Delete ${sel.length} selected ${sel.length === 1 ? 'rule' : 'rules'}?`)) return;
+
+        noteEdit(`Deleted ${sel.length} ${sel.length === 1 ? 'rule' : 'rules'}`);
+        for (const spec of Object.values(rubric.sheets || {}))
+            spec.checks = (spec.checks || []).filter(r => !UI.selected.has(r.__id));
+        UI.selected.clear();
+        render();
+    }
+
+    function open() { untouch(); fill(); drawer.classList.remove('hidden'); }
+    function close() { drawer.classList.add('hidden'); }
+
+    // --- Shift-click range selection ---------------------------------------------
+
+    let lastClicked = null; // { id, scope }
+
+    /**
+     * The list a checkbox belongs to: a compact list (host with data-sheet) or a sheet's rule editors.
+     * @param {HTMLInputElement} cb
+     * @returns {HTMLElement|null}
+     */
+    const scopeOf = cb => cb.closest('[data-sheet], .sheet');
+
+    document.addEventListener('click', (e) => {
+        const cb = e.target.closest?.('input.rule-select[data-id]');
+        if (!cb) return;
+        const scope = scopeOf(cb);
+        if (e.shiftKey && lastClicked && lastClicked.scope === scope && scope) {
+            const ids = [...new Set([...scope.querySelectorAll('input.rule-select[data-id]')]
+                .filter(b => scopeOf(b) === scope)
+                .map(b => b.dataset.id))];
+            const a = ids.indexOf(lastClicked.id), b = ids.indexOf(cb.dataset.id);
+            if (a >= 0 && b >= 0) {
+                const [lo, hi] = a < b ? [a, b] : [b, a];
+                setRuleSelection(ids.slice(lo, hi + 1), cb.checked);
+            }
+        }
+        lastClicked = { id: cb.dataset.id, scope };
+    });
+
+    // --- Hooks ------------------------------------------------------------------
+
+    if (typeof render === 'function') {
+        const _orig = render;
+        window.render = function () {
+            const result = _orig.apply(this, arguments);
+            fill();
+            return result;
+        };
+    }
+
+    document.addEventListener('ruleselectionchange', fill);
+
+    FIELDS.forEach(f => f?.addEventListener(f.tagName === 'SELECT' || f.type === 'checkbox' ? 'change' : 'input', () => {
+        f.dataset.touched = '1';
+        if (f.type === 'checkbox') { f.indeterminate = false; f.closest('label')?.classList.remove('mixed'); }
+    }));
+
+    $id('btnBulkEdit')?.addEventListener('click', e => { e.preventDefault(); drawer.classList.contains('hidden') ? open() : close(); });
+    $id('btnBulkClose')?.addEventListener('click', e => { e.preventDefault(); close(); });
+    $id('btnBulkApply')?.addEventListener('click', e => { e.preventDefault(); applyFields(); });
+    $id('btnBulkReset')?.addEventListener('click', e => { e.preventDefault(); untouch(); fNote.value = ''; fill(); });
+    $id('btnBulkDuplicate')?.addEventListener('click', e => { e.preventDefault(); duplicateToSheet(); });
+    $id('btnBulkDelete')?.addEventListener('click', e => { e.preventDefault(); deleteSelected(); });
+
+    fill();
+})();
@@ -0,0 +1,189 @@
+/**
+ * Drag-and-Drop Reordering
+ * ------------------------
+ * Delegated drag handlers for the compact rule lists (inside each sheet and
+ * in the right rail) and for the sheet blocks in #sheets:
+ *  - drag a `.rule-row` onto another row to move it before/after that rule
+ *    (grouped lists also adopt the target's section; the sort switches to
+ *    "Manual" so the new position is visible);
+ *  - drag a `.rule-row` onto a `.section-header` to move it into that section;
+ *  - drag a sheet by its ⠿ handle to reorder `rubric.sheets`.
+ * Rows can be dropped into another sheet's list as well. The section order
+ * list has its own handlers in ordering.js.
+ */
+(function () {
+    const RULE_MIME = 'text/x-rule-id';
+    const SHEET_MIME = 'text/x-sheet';
+    const MARKS = ['drop-before', 'drop-after', 'drop-into'];
+
+    const clearMarks = () => document.querySelectorAll(MARKS.map(m => '.' + m).join(','))
+        .forEach(n => n.classList.remove(...MARKS));
+
+    /** True when the pointer is over the lower half of `node`. */
+    const isAfter = (e, node) => { const r = node.getBoundingClientRect(); return e.clientY > r.top + r.height / 2; };
+
+    /**
+     * Finds a rule by its builder id.
+     * @param {string} id - `__id` set by ensureRuleIds().
+     * @returns {{sheetName:string, spec:object, idx:number, rule:object}|null}
+     */
+    function findRule(id) {
+        for (const [sheetName, spec] of Object.entries(rubric.sheets || {})) {
+            const idx = (spec.checks || []).findIndex(r => r.__id === id);
+            if (idx >= 0) return { sheetName, spec, idx, rule: spec.checks[idx] };
+        }
+        return null;
+    }
+
+    /**
+     * Where a drag over the compact lists would land, or null when not over a target.
+     * @param {DragEvent} e
+     * @returns {{kind:'rule'|'section', node:HTMLElement, sheet:string}|null}
+     */
+    function ruleTarget(e) {
+        const node = e.target.closest?.('.rule-row[data-id], .section-header[data-section]');
+        const host = node?.closest('[data-sheet]');
+        if (!node || !host || !rubric.sheets?.[host.dataset.sheet]) return null;
+        return { kind: node.classList.contains('rule-row') ? 'rule' : 'section', node, sheet: host.dataset.sheet };
+    }
+
+    /** Switches the compact lists to manual order so drag results stay where they were dropped. */
+    function useManualSort() {
+        if (UI.sortBy === 'manual') return;
+        UI.sortBy = 'manual';
+        const sel = document.getElementById('sortBy');
+        if (sel) sel.value = 'manual';
+    }
+
+    /**
+     * Moves a rule before/after another rule (possibly on another sheet).
+     * @param {string} id - Rule being dragged.
+     * @param {string} targetId - Rule it was dropped on.
+     * @param {boolean} after - Insert after the target instead of before.
+     */
+    function dropOnRule(id, targetId, after) {
+        if (id === targetId) return;
+        const src = findRule(id), dst = findRule(targetId);
+        if (!src || !dst) return;
+
+        noteEdit(`Moved rule ${ruleLabel(src.rule)}`);
+        src.spec.checks.splice(src.idx, 1);
+        const at = dst.spec.checks.indexOf(dst.rule);
+        dst.spec.checks.splice(after ? at + 1 : at, 0, src.rule);
+
+        if (UI.groupBySection && (src.rule.section || null) !== (dst.rule.section || null)) {
+            src.rule.section = dst.rule.section || null;
+            if (src.rule.section) registerSection(src.rule.section, dst.sheetName);
+        }
+        useManualSort();
+        render();
+    }
+
+    /**
+     * Moves a rule into a section (and sheet), after that section's last rule.
+     * @param {string} id
+     * @param {string} sheetName - Sheet whose list holds the header.
+     * @param {string} section - Section name; '' means "(No section)".
+     */
+    function dropOnSection(id, sheetName, section) {
+        const src = findRule(id);
+        const spec = rubric.sheets?.[sheetName];
+        if (!src || !spec) return;
+        const sec = section || null;
+        if (src.sheetName === sheetName && (src.rule.section || null) === sec) return;
+
+        noteEdit(`Moved rule ${ruleLabel(src.rule)} to section '${section || '(No section)'}'`);
+        src.spec.checks.splice(src.idx, 1);
+        src.rule.section = sec;
+        spec.checks = spec.checks || [];
+        let last = -1;
+        spec.checks.forEach((r, i) => { if ((r.section || null) === sec) last = i; });
+        spec.checks.splice(last >= 0 ? last + 1 : spec.checks.length, 0, src.rule);
+        if (sec) registerSection(sec, sheetName);
+        render();
+    }
+
+    /**
+     * Moves a sheet before/after another one by rebuilding `rubric.sheets` in the new key order.
+     * @param {string} name
+     * @param {string} targetName
+     * @param {boolean} after
+     */
+    function dropOnSheet(name, targetName, after) {
+        if (name === targetName || !rubric.sheets?.[name] || !rubric.sheets?.[targetName]) return;
+        const names = Object.keys(rubric.sheets).filter(n => n !== name);
+        const at = names.indexOf(targetName);
+        names.splice(after ? at + 1 : at, 0, name);
+
+        noteEdit(`Moved sheet '${name}' ${after ? 'after' : 'before'} '${targetName}'`);
+        const ordered = {};
+        for (const n of names) ordered[n] = rubric.sheets[n];
+        rubric.sheets = ordered;
+        render();
+    }
+
+    // --- Delegated listeners ----------------------------------------------------
+
+    document.addEventListener('dragstart', (e) => {
+        const row = e.target.closest?.('.rule-row[data-id]');
+        if (row) {
+            e.dataTransfer.setData(RULE_MIME, row.dataset.id);
+            e.dataTransfer.effectAllowed = 'move';
+            row.classList.add('dragging');
+            return;
+        }
+        const grip = e.target.closest?.('#sheets .sheet .drag-handle');
+        if (grip) {
+            const sheet = grip.closest('.sheet');
+            e.dataTransfer.setData(SHEET_MIME, sheet.dataset.name);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setDragImage?.(sheet, 20, 20);
+            sheet.classList.add('dragging');
+        }
+    });
+
+    document.addEventListener('dragend', () => {
+        document.querySelectorAll('.dragging').forEach(n => n.classList.remove('dragging'));
+        clearMarks();
+    });
+
+    document.addEventListener('dragover', (e) => {
+        const types = e.dataTransfer?.types || [];
+        if (types.includes(RULE_MIME)) {
+            const t = ruleTarget(e);
+            clearMarks();
+            if (!t) return;
+            e.preventDefault();
+            if (t.kind === 'section') t.node.classList.add('drop-into');
+            else t.node.classList.add(isAfter(e, t.node) ? 'drop-after' : 'drop-before');
+        } else if (types.includes(SHEET_MIME)) {
+            const sheet = e.target.closest?.('#sheets > .sheet');
+            clearMarks();
+            if (!sheet) return;
+            e.preventDefault();
+            sheet.classList.add(isAfter(e, sheet) ? 'drop-after' : 'drop-before');
+        }
+    });
+
+    document.addEventListener('drop', (e) => {
+        const types = e.dataTransfer?.types || [];
+        if (types.includes(RULE_MIME)) {
+            const t = ruleTarget(e);
+            const id = e.dataTransfer.getData(RULE_MIME);
+            const after = t && t.kind === 'rule' && isAfter(e, t.node);
+            clearMarks();
+            if (!t || !id) return;
+            e.preventDefault();
+            if (t.kind === 'section') dropOnSection(id, t.sheet, t.node.dataset.section);
+            else dropOnRule(id, t.node.dataset.id, after);
+        } else if (types.includes(SHEET_MIME)) {
+            const sheet = e.target.closest?.('#sheets > .sheet');
+            const name = e.dataTransfer.getData(SHEET_MIME);
+            const after = sheet && isAfter(e, sheet);
+            clearMarks();
+            if (!sheet || !name) return;
+            e.preventDefault();
+            dropOnSheet(name, sheet.dataset.name, after);
+        }
+    });
+})();
@@ -0,0 +1,211 @@
+/**
+ * Student Feedback Pages
+ * ----------------------
+ * "Feedback pages…" in the results card renders one standalone, printable
+ * HTML page per graded student from an editable template (#feedbackTemplate,
+ * kept in localStorage under `feedbackTemplate`). Placeholders:
+ *
+ *   {student} {file}            name without extension / submission file name
+ *   {score} {total} {percent}   earned, possible (rubric `scoring.round_to` decimals)
+ *   {status}                    PASS (full marks) or FAIL
+ *   {assignment} {date}         rubric meta.name / today
+ *   {sections}                  table of sheet and section subtotals
+ *   {misses}                    checks that missed points, with their comments
+ *   {details}                   every check
+ *
+ * Text placeholders are HTML-escaped; the three tables are HTML. "Download all"
+ * zips the pages through POST /api/feedback/zip as `<submission name>.html`.
+ * Students whose grading failed are skipped.
+ */
+(function () {
+    const STORE_KEY = 'feedbackTemplate';
+    const dialog = document.getElementById('feedbackDialog');
+    const box = document.getElementById('feedbackTemplate');
+    const picker = document.getElementById('feedbackStudent');
+    const frame = document.getElementById('feedbackPreview');
+    const summary = document.getElementById('feedbackSummary');
+    if (!dialog || !box || !window.gradebookExport) return;
+
+    const DEFAULT_TEMPLATE = `<h1>{assignment}</h1>
+<p class="who"><strong>{student}</strong> · {date}</p>
+<p class="score">Score: <strong>{score} / {total}</strong> ({percent}%)</p>
+
+<h2>By section</h2>
+{sections}
+
+<h2>Where points were missed</h2>
+{misses}`;
+
+    const PAGE_CSS = `
+body { font: 14px/1.45 system-ui, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #111; margin: 32px auto; max-width: 820px; padding: 0 16px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 24px 0 8px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+.score { font-size: 18px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e2e2; vertical-align: top; }
+th { background: #f4f4f4; }
+td.num, th.num { text-align: right; white-space: nowrap; }
+tr.sheet td { font-weight: 600; background: #fafafa; }
+.pass { color: #17652f; } .partial { color: #8a5a00; } .fail { color: #a11; }
+.none { color: #17652f; }
+.adjusted { font-size: 12px; color: #555; font-style: italic; }
+@media print { body { margin: 0 auto; } h2 { break-after: avoid; } tr { break-inside: avoid; } }`;
+
+    let timer = null;
+
+    function escHtml(s) {
+        return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function loadTemplate() {
+        return localStorage.getItem(STORE_KEY) || DEFAULT_TEMPLATE;
+    }
+
+    const num = (v, dec) => gradebookExport.round(v, dec);
+
+    /**
+     * Graded students of the report on screen (errored rows are left out).
+     * @returns {Array<{row:object, summary:object, details:object[]}>}
+     */
+    function gradedStudents() {
+        return gradebookExport.rows()
+            .map(row => {
+                const grade = (row && typeof row.grade === 'object') ? row.grade : row;
+                return { row, summary: gradebookExport.summarize(row), details: grade?.details ?? grade?.Details ?? [] };
+            })
+            .filter(s => !s.summary.error);
+    }
+
+    const resultClass = d => (+d.earned >= +d.points ? 'pass' : (+d.earned > 0 ? 'partial' : 'fail'));
+
+    function sectionsTable(s, ctx, dec) {
+        const layout = gradebookExport.layout([s.summary], ctx);
+        if (!layout.length) return '<p class="none">No checks were graded.</p>';
+        const rows = [];
+        for (const sh of layout) {
+            const t = s.summary.sheets.get(sh.sheet) || { points: 0, earned: 0 };
+            rows.push(`<tr class="sheet"><td colspan="2">${escHtml(sh.sheet)}</td><td class="num">${num(t.earned, dec)}</td><td class="num">${num(t.points, dec)}</td></tr>`);
+            for (const sec of sh.sections) {
+                const st = s.summary.sections.get(`${sh.sheet}\u0000${sec.section}`) || { points: 0, earned: 0 };
+                rows.push(`<tr><td></td><td>${escHtml(sec.section)}</td><td class="num">${num(st.earned, dec)}</td><td class="num">${num(st.points, dec)}</td></tr>`);
+            }
+        }
+        return `<table><thead><tr><th>Sheet</th><th>Section</th><th class="num">Earned</th><th class="num">Possible</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    }
+
+    function checksTable(details, dec, emptyText) {
+        if (!details.length) return `<p class="none">${escHtml(emptyText)}</p>`;
+        const rows = details.map(d => `<tr>
+<td>${escHtml(d.sheet || '')}</td><td>${escHtml(d.section || '')}</td><td>${escHtml(d.check ?? d.rule ?? '')}</td>
+<td class="num ${resultClass(d)}">${num(d.earned, dec)} / ${num(d.points, dec)}</td><td>${escHtml(d.comment ?? d.message ?? '')}${d.override ? `<div class="adjusted">Adjusted by your instructor (was ${num(d.override.original, dec)}): ${escHtml(d.override.reason)}</div>` : ''}</td></tr>`);
+        return `<table><thead><tr><th>Sheet</th><th>Section</th><th>Check</th><th class="num">Points</th><th>Comment</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    }
+
+    /**
+     * Renders one student's standalone page.
+     * @param {string} template
+     * @param {{row:object, summary:object, details:object[]}} s
+     * @returns {string} complete HTML document
+     */
+    function renderPage(template, s, ctx) {
+        const dec = gradebookExport.rubricDecimals(ctx);
+        const { summary: sum } = s;
+        const file = sum.student.replace(/^.*[\\/]/, '');
+        const student = file.replace(/\.xls[xm]?$/i, '');
+        const full = sum.possible > 0 && Math.abs(sum.total - sum.possible) < 1e-9;
+        const values = {
+            student: escHtml(student),
+            file: escHtml(file),
+            score: num(sum.total, dec),
+            total: num(sum.possible, dec),
+            percent: sum.possible ? num(sum.total / sum.possible * 100, dec) : '',
+            status: full ? 'PASS' : 'FAIL',
+            assignment: escHtml(ctx.rubricMeta?.name || 'Feedback'),
+            date: escHtml(new Date().toLocaleDateString()),
+            sections: sectionsTable(s, ctx, dec),
+            misses: checksTable(s.details.filter(d => +d.earned < +d.points - 1e-9), dec, 'No points were missed.'),
+            details: checksTable(s.details, dec, 'No checks were graded.')
+        };
+        const body = template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m));
+        return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${values.assignment} — ${values.student}</title>
+<style>${PAGE_CSS}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    /** Zip entry name from the submission file name ("jdoe_hw3.xlsx" → "jdoe_hw3.html"). */
+    const pageName = s => `${s.summary.student.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '') || 'student'}.html`;
+
+    function refreshPreview() {
+        timer = null;
+        const list = gradedStudents();
+        const s = list[+picker.value] || list[0];
+        frame.srcdoc = s ? renderPage(box.value, s, reportContext()) : '<p style="font-family:sans-serif">No graded students in this report.</p>';
+    }
+
+    function open() {
+        if (!lastReportRaw) return alert('Nothing to generate yet — grade some students first.');
+        const list = gradedStudents();
+        const skipped = gradebookExport.rows().length - list.length;
+        picker.innerHTML = '';
+        list.forEach((s, i) => picker.append(new Option(s.summary.student, String(i))));
+        if (summary) summary.textContent = `${list.length} ${list.length === 1 ? 'page' : 'pages'}${skipped ? ` · ${skipped} errored ${skipped === 1 ? 'student' : 'students'} skipped` : ''}`;
+        box.value = loadTemplate();
+        dialog.classList.remove('hidden');
+        refreshPreview();
+    }
+
+    function close() { dialog.classList.add('hidden'); }
+
+    async function downloadZip() {
+        const ctx = reportContext();
+        const files = gradedStudents().map(s => ({ name: pageName(s), content: renderPage(box.value, s, ctx) }));
+        if (!files.length) return alert('No graded students in this report.');
+        try {
+            const res = await fetch('/api/feedback/zip', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ files })
+            });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({}));
+                throw new Error(err.error || `HTTP ${res.status}`);
+            }
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(await res.blob());
+            a.download = `${(ctx.rubricMeta?.name || 'feedback').replace(/[^\w.-]+/g, '_')}-feedback.zip`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        } catch (e) {
+            alert('Could not build the zip: ' + e.message);
+        }
+    }
+
+    box.addEventListener('input', () => {
+        try { localStorage.setItem(STORE_KEY, box.value); } catch (e) { console.warn('Could not store the feedback template', e); }
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(refreshPreview, 300);
+    });
+    picker.addEventListener('change', refreshPreview);
+    document.getElementById('btnFeedbackPages')?.addEventListener('click', e => { e.preventDefault(); open(); });
+    document.getElementById('btnFeedbackClose')?.addEventListener('click', e => { e.preventDefault(); close(); });
+    document.getElementById('btnFeedbackReset')?.addEventListener('click', e => {
+        e.preventDefault();
+        if (!confirm('Replace the template with the default one?')) return;
+        localStorage.removeItem(STORE_KEY);
+        box.value = DEFAULT_TEMPLATE;
+        refreshPreview();
+    });
+    document.getElementById('btnFeedbackPrint')?.addEventListener('click', e => { e.preventDefault(); frame.contentWindow?.print(); });
+    document.getElementById('btnFeedbackZip')?.addEventListener('click', e => { e.preventDefault(); downloadZip(); });
+
+    window.studentFeedback = { render: renderPage, students: gradedStudents, open };
+})();
@@ -0,0 +1,344 @@
+/**
+ * Streaming, Chunked Grading
+ * --------------------------
+ * Replaces `runGrade()`. Student workbooks are sent to /api/grade in chunks
+ * (#gradeChunkSize files and at most #gradeChunkMb MB per request) instead of
+ * one multipart body, so a bad or huge file or a proxy size limit only fails
+ * its own chunk and the batch carries on. Each request asks for NDJSON
+ * (`stream=ndjson`); the server writes one line per student as soon as that
+ * workbook is graded:
+ *
+ *   { "event": "start",  "total": 10 }
+ *   { "event": "result", "index": 3, "result": { "student": "...", "grade": {...} } }
+ *   { "event": "end",    "graded": 9, "failed": 1 }
+ *
+ * #gradeFiles lists every file with its status (queued, uploading, grading,
+ * done, error). Cards are added to #resultsBody as results arrive and
+ * #gradeProgress shows done / failed / remaining counts with an ETA. Cancel
+ * puts unfinished files back in the queue ("Resume" continues), failed files
+ * can be retried one by one or all at once, and at the end of every run the
+ * merged results of all files go through `showReport()`.
+ */
+(function () {
+    const box = document.getElementById('gradeProgress');
+    const bar = document.getElementById('gradeProgressBar');
+    const text = document.getElementById('gradeProgressText');
+    const list = document.getElementById('gradeFiles');
+    const btnCancel = document.getElementById('btnGradeCancel');
+    const btnResume = document.getElementById('btnGradeResume');
+    const btnRetryFailed = document.getElementById('btnGradeRetryFailed');
+    const chunkInput = document.getElementById('gradeChunkSize');
+    const mbInput = document.getElementById('gradeChunkMb');
+    if (!box || !list || typeof runGrade !== 'function') return;
+
+    const STATUS = {
+        queued: ['Queued', ''],
+        uploading: ['Uploading', ''],
+        grading: ['Grading', 'partial'],
+        done: ['Done', 'pass'],
+        error: ['Error', 'fail']
+    };
+
+    let batch = null; // { base:FormData, ctx, files:[{ file, status, message, result, row, card }] }
+    let run = null;   // { controller, started, finished, cancelled }
+
+    const inFlight = f => f.status === 'uploading' || f.status === 'grading';
+
+    // --- Settings -----------------------------------------------------------------
+
+    for (const input of [chunkInput, mbInput]) {
+        if (!input) continue;
+        const saved = localStorage.getItem(input.id);
+        if (saved) input.value = saved;
+        input.addEventListener('change', () => localStorage.setItem(input.id, input.value));
+    }
+
+    /** @returns {{count:number, bytes:number}} files and bytes per request (bytes 0 = no limit) */
+    function chunkLimits() {
+        return {
+            count: Math.max(1, parseInt(chunkInput?.value, 10) || 10),
+            bytes: Math.max(0, parseFloat(mbInput?.value) || 0) * 1024 * 1024
+        };
+    }
+
+    /**
+     * Next queued files that fit in one request. A file larger than the byte
+     * limit still goes, alone.
+     */
+    function nextChunk() {
+        const { count, bytes } = chunkLimits();
+        const chunk = [];
+        let size = 0;
+        for (const f of batch.files) {
+            if (f.status !== 'queued') continue;
+            if (chunk.length && (chunk.length >= count || (bytes && size + f.file.size > bytes))) break;
+            chunk.push(f);
+            size += f.file.size;
+        }
+        return chunk;
+    }
+
+    // --- Display ------------------------------------------------------------------
+
+    /** "45s" / "3m 05s" */
+    function fmtDuration(ms) {
+        const s = Math.max(0, Math.round(ms / 1000));
+        return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+    }
+
+    function fmtSize(bytes) {
+        return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    function renderFile(f) {
+        if (!f.row) { f.row = el('div', 'hstack grade-file'); list.append(f.row); }
+        const [label, cls] = STATUS[f.status];
+        f.row.innerHTML = '';
+        f.row.dataset.state = f.status;
+        f.row.append(
+            el('span', `tag ${cls}`, label),
+            el('span', 'grade-file-name', esc(f.file.name)),
+            el('span', 'tiny muted', fmtSize(f.file.size))
+        );
+        if (f.message) f.row.append(el('span', 'tiny v-error', esc(f.message)));
+        if (f.status === 'error') {
+            const retryBtn = el('button', 'ghost right', 'Retry');
+            retryBtn.type = 'button';
+            retryBtn.onclick = (e) => { e.preventDefault(); retry([f]); };
+            f.row.append(retryBtn);
+        }
+    }
+
+    function setStatus(f, status, message = '') {
+        f.status = status;
+        f.message = message;
+        renderFile(f);
+    }
+
+    function counts() {
+        const c = { done: 0, failed: 0, pending: 0, queued: 0 };
+        for (const f of batch.files) {
+            if (f.status === 'done') c.done++;
+            else if (f.status === 'error') c.failed++;
+            else c.pending++;
+            if (f.status === 'queued') c.queued++;
+        }
+        return c;
+    }
+
+    /** Updates the bar, the buttons and (while running) the counts line. */
+    function showProgress() {
+        const { done, failed, pending, queued } = counts();
+        const total = batch.files.length;
+        bar.style.width = total ? `${((done + failed) / total) * 100}%` : '0%';
+        btnCancel?.classList.toggle('hidden', !run);
+        btnResume?.classList.toggle('hidden', !!run || !queued);
+        btnRetryFailed?.classList.toggle('hidden', !!run || !failed);
+        if (btnRetryFailed) btnRetryFailed.textContent = `Retry ${failed} failed`;
+        if (!run) return;
+
+        const bits = [`${done} done`, `${failed} failed`, `${pending} remaining`];
+        if (run.finished && pending) {
+            const eta = (Date.now() - run.started) / run.finished * pending;
+            bits.push(eta < 1000 ? 'almost done' : `about ${fmtDuration(eta)} left`);
+        }
+        text.textContent = bits.join(' · ');
+    }
+
+    /** Records a file's result (or error row) and shows / replaces its card. */
+    function applyResult(f, result) {
+        f.result = result;
+        setStatus(f, result.error ? 'error' : 'done', result.error ? String(result.error) : '');
+        const card = renderStudentCard(result, batch.ctx);
+        if (f.card?.isConnected) f.card.replaceWith(card);
+        else document.getElementById('resultsBody').appendChild(card);
+        f.card = card;
+        if (run) run.finished++;
+    }
+
+    // --- Requests -------------------------------------------------------------------
+
+    /**
+     * Yields the parsed JSON lines of an NDJSON response as they arrive.
+     * @param {Response} res
+     */
+    async function* ndjson(res) {
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buf = '';
+        for (; ;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buf += decoder.decode(value, { stream: true });
+            let nl;
+            while ((nl = buf.indexOf('\n')) >= 0) {
+                const line = buf.slice(0, nl).trim();
+                buf = buf.slice(nl + 1);
+                if (line) yield JSON.parse(line);
+            }
+        }
+        buf += decoder.decode();
+        if (buf.trim()) yield JSON.parse(buf);
+    }
+
+    /** Message of a failed response: the server's `{ error, detail }` when present. */
+    async function errorText(res) {
+        const txt = await res.text().catch(() => '');
+        try {
+            const j = JSON.parse(txt);
+            if (j?.error) return j.detail ? `${j.error} (${j.detail})` : j.error;
+        } catch { /* not JSON */ }
+        return txt.trim().slice(0, 200) || `HTTP ${res.status}`;
+    }
+
+    /**
+     * Uploads and grades one chunk.
+     * @returns {Promise<string|null>} an error that stops the batch (bad key / rubric), else null.
+     */
+    async function sendChunk(chunk) {
+        const fd = new FormData();
+        for (const [k, v] of batch.base) fd.append(k, v);
+        for (const f of chunk) { fd.append('students', f.file); setStatus(f, 'uploading'); }
+        fd.append('stream', 'ndjson');
+        showProgress();
+
+        const res = await fetch('/api/grade', { method: 'POST', body: fd, signal: run.controller.signal });
+        if (!res.ok) {
+            const msg = await errorText(res);
+            chunk.forEach(f => applyResult(f, { student: f.file.name, error: msg }));
+            // 400 / 404 mean the key or rubric is unusable: every chunk would fail the same way
+            return res.status === 400 || res.status === 404 ? msg : null;
+        }
+
+        if (!res.body || !/ndjson/i.test(res.headers.get('Content-Type') || '')) {
+            // server without streaming: a JSON array in completion order
+            const rows = JSON.parse(await res.text());
+            for (const f of chunk) {
+                const r = Array.isArray(rows) ? rows.find(x => x?.student === f.file.name) : null;
+                applyResult(f, r || { student: f.file.name, error: 'No result returned' });
+            }
+            return null;
+        }
+
+        for await (const msg of ndjson(res)) {
+            if (msg.event === 'start') chunk.forEach(f => { if (f.status === 'uploading') setStatus(f, 'grading'); });
+            else if (msg.event === 'result' && msg.result && chunk[msg.index]) applyResult(chunk[msg.index], msg.result);
+            showProgress();
+        }
+        chunk.filter(inFlight).forEach(f => applyResult(f, { student: f.file.name, error: 'No result returned' }));
+        return null;
+    }
+
+    /** Sends queued files chunk by chunk until the queue is empty, cancelled or a fatal error. */
+    async function processQueue() {
+        if (run || !batch) return;
+        run = { controller: new AbortController(), started: Date.now(), finished: 0, cancelled: false };
+        box.classList.remove('hidden', 'grade-progress-stopped');
+        showProgress();
+
+        let fatal = null;
+        try {
+            for (let chunk = nextChunk(); chunk.length && !fatal; chunk = nextChunk()) {
+                try {
+                    fatal = await sendChunk(chunk);
+                } catch (err) {
+                    if (err?.name === 'AbortError') throw err;
+                    console.error(err);
+                    const msg = err?.message || String(err);
+                    chunk.filter(inFlight).forEach(f => applyResult(f, { student: f.file.name, error: msg }));
+                }
+                showProgress();
+            }
+        } catch (err) {
+            if (err?.name !== 'AbortError') throw err;
+            batch.files.filter(inFlight).forEach(f => setStatus(f, 'queued'));
+        }
+
+        const { cancelled, started } = run;
+        run = null;
+        if (fatal) alert('Grading stopped: ' + fatal);
+        finish(cancelled ? 'Cancelled' : fatal ? 'Stopped' : 'Finished', Date.now() - started);
+    }
+
+    /** Shows the merged report of every file with a result and writes the summary line. */
+    function finish(note, elapsed) {
+        const { done, failed, queued } = counts();
+        box.classList.toggle('grade-progress-stopped', !!(failed || queued));
+        showProgress();
+
+        const graded = batch.files.filter(f => f.result);
+        showReport(JSON.stringify(graded.map(f => f.result), null, 2), batch.rubric);
+        // keep the rendered rows: overrides edit them, and a later retry / resume rebuilds the report from f.result
+        if (Array.isArray(lastReportData) && lastReportData.length === graded.length) graded.forEach((f, i) => { f.result = lastReportData[i]; });
+        const cards = document.getElementById('resultsBody').children;
+        if (cards.length === graded.length) graded.forEach((f, i) => { f.card = cards[i]; });
+
+        text.textContent = `${note} after ${fmtDuration(elapsed)}: ${done} graded, ${failed} failed${queued ? `, ${queued} not graded yet` : ''}.`;
+    }
+
+    /** Puts files back in the queue and (when idle) starts a run. */
+    function retry(files) {
+        if (!batch) return;
+        files.forEach(f => setStatus(f, 'queued'));
+        if (run) showProgress(); else processQueue();
+    }
+
+    /**
+     * Chunked, streaming replacement for `runGrade()`.
+     * @param {FormData} fd - Key, rubric fields and every student workbook.
+     */
+    async function gradeBatch(fd) {
+        if (run) { alert('A grading run is already in progress. Cancel it first.'); return; }
+        const base = new FormData();
+        for (const [k, v] of fd) if (k !== 'students' && k !== 'stream') base.append(k, v);
+        lastReportRubric = null;
+        batch = {
+            base,
+            rubric: null,
+            ctx: reportContext(),
+            files: fd.getAll('students').map(file => ({ file, status: 'queued', message: '', result: null, row: null, card: null }))
+        };
+        // the rubric sent is bundled into the saved report.json (read while the first chunk uploads)
+        const current = batch;
+        rubricOfForm(fd).then(r => { current.rubric = r; });
+        list.innerHTML = '';
+        batch.files.forEach(renderFile);
+
+        const card = document.getElementById('resultsCard');
+        document.getElementById('resultsBody').innerHTML = '';
+        card.style.display = '';
+        card.classList.toggle('only-misses', localStorage.getItem('onlyMisses') === '1' || !!document.getElementById('toggleOnlyMisses')?.checked);
+        window.scrollTo({ top: card.offsetTop - 10, behavior: 'smooth' });
+        await processQueue();
+    }
+
+    /** Forgets the last batch when another report replaces it (e.g. "Load report…"); not while a run is going. */
+    function reset() {
+        if (run) return;
+        batch = null;
+        list.innerHTML = '';
+        box.classList.add('hidden');
+        box.classList.remove('grade-progress-stopped');
+    }
+
+    btnCancel?.addEventListener('click', e => {
+        e.preventDefault();
+        if (!run) return;
+        run.cancelled = true;
+        run.controller.abort();
+    });
+    btnResume?.addEventListener('click', e => { e.preventDefault(); processQueue(); });
+    btnRetryFailed?.addEventListener('click', e => {
+        e.preventDefault();
+        if (batch) retry(batch.files.filter(f => f.status === 'error'));
+    });
+
+    window.runGrade = gradeBatch;
+    window.gradeStream = {
+        cancel: () => btnCancel?.click(),
+        resume: processQueue,
+        retryFailed: () => btnRetryFailed?.click(),
+        running: () => !!run,
+        reset
+    };
+})();
@@ -0,0 +1,432 @@
+/**
+ * Gradebook Export
+ * ----------------
+ * "Export gradebook…" panel in the results card. Writes the report shown by
+ * `showReport()` as CSV, one row per student. Columns come from a mapping of
+ * sources (file name, ID, total, points possible, percent, OK / ERROR status,
+ * error message, per-sheet and per-section subtotals) to header texts.
+ *
+ * Presets fill the mapping with the gradebook import layouts of Canvas,
+ * Blackboard and Moodle; "Generic" lists every subtotal. Headers may use
+ * {assignment} and {possible}. The ID is taken from the file name with a
+ * regular expression (first group or whole match), e.g. the login name in
+ * Canvas' "smithjane_12345_678_hw3.xlsx" submission downloads.
+ *
+ * Numbers are rounded to the rubric's `scoring.round_to` decimals (the same
+ * rounding the server applies to the total) unless Decimals is set; without
+ * either, to 2 decimals. Settings are kept in localStorage (`gradebookExport`).
+ * `rubricDecimals()` and `round()` are shared with the other results views.
+ */
+(function () {
+    const STORE_KEY = 'gradebookExport';
+    const panel = document.getElementById('exportPanel');
+    const presetSel = document.getElementById('exportPreset');
+    const assignmentInput = document.getElementById('exportAssignment');
+    const decimalsInput = document.getElementById('exportDecimals');
+    const idInput = document.getElementById('exportIdPattern');
+    const columnsBox = document.getElementById('exportColumns');
+    const preview = document.getElementById('exportPreview');
+    const note = document.getElementById('exportNote');
+    if (!panel || !presetSel || !columnsBox) return;
+
+    const DEFAULT_ID_PATTERN = '^([^_.\\s]+)';
+
+    /** Gradebook layouts; `pointsRow` adds Canvas' "Points Possible" row under the header. */
+    const PRESETS = {
+        generic: { label: 'Generic (all subtotals)', pointsRow: false, columns: null },
+        canvas: {
+            label: 'Canvas',
+            pointsRow: true,
+            columns: [
+                { header: 'Student', source: 'student' },
+                { header: 'ID', source: 'blank' },
+                { header: 'SIS User ID', source: 'blank' },
+                { header: 'SIS Login ID', source: 'id' },
+                { header: 'Section', source: 'blank' },
+                { header: '{assignment}', source: 'total' }
+            ]
+        },
+        blackboard: {
+            label: 'Blackboard',
+            pointsRow: false,
+            columns: [
+                { header: 'Last Name', source: 'blank' },
+                { header: 'First Name', source: 'blank' },
+                { header: 'Username', source: 'id' },
+                { header: '{assignment} [Total Pts: {possible} Score]', source: 'total' }
+            ]
+        },
+        moodle: {
+            label: 'Moodle',
+            pointsRow: false,
+            columns: [
+                { header: 'Username', source: 'id' },
+                { header: '{assignment}', source: 'total' },
+                { header: 'Feedback', source: 'error' }
+            ]
+        }
+    };
+
+    const SOURCES = [
+        ['student', 'Student (file name)', 'Student'],
+        ['id', 'ID (from file name)', 'ID'],
+        ['total', 'Total score', 'Total'],
+        ['possible', 'Points possible', 'Points Possible'],
+        ['percent', 'Percent', 'Percent'],
+        ['status', 'Status (OK / ERROR)', 'Status'],
+        ['error', 'Error message', 'Error'],
+        ['overrides', 'Manual overrides', 'Overrides'],
+        ['blank', '(empty)', '']
+    ];
+
+    let settings = loadSettings();
+
+    // --- Settings -----------------------------------------------------------------
+
+    /** @returns {{preset:string, columns:Array<{header:string, source:string, sheet?:string, section?:string}>|null, decimals:string, idPattern:string, assignment:string}} */
+    function loadSettings() {
+        let s = {};
+        try { s = JSON.parse(localStorage.getItem(STORE_KEY) || '{}') || {}; } catch { /* start fresh */ }
+        return {
+            preset: PRESETS[s.preset] ? s.preset : 'generic',
+            columns: Array.isArray(s.columns) ? s.columns.filter(c => c && typeof c.source === 'string') : null,
+            decimals: typeof s.decimals === 'string' ? s.decimals : '',
+            idPattern: typeof s.idPattern === 'string' ? s.idPattern : DEFAULT_ID_PATTERN,
+            assignment: typeof s.assignment === 'string' ? s.assignment : ''
+        };
+    }
+
+    function saveSettings() {
+        try { localStorage.setItem(STORE_KEY, JSON.stringify(settings)); }
+        catch (e) { console.warn('Could not store export settings', e); }
+    }
+
+    // --- Report data ----------------------------------------------------------------
+
+    /** Rows of the report currently shown (same shapes `showReport()` accepts). */
+    function reportRows() {
+        let data;
+        try { data = JSON.parse(lastReportRaw || '[]'); } catch { return []; }
+        if (Array.isArray(data)) return data;
+        if (Array.isArray(data?.students)) return data.students;
+        if (Array.isArray(data?.results)) return data.results;
+        return [];
+    }
+
+    const sectionKey = (sheet, section) => `${sheet}\u0000${section}`;
+
+    /**
+     * Totals of one report row.
+     * @returns {{student:string, error:string, total:number|null, possible:number|null, overrides:string[], sheets:Map<string,{points:number,earned:number}>, sections:Map<string,{points:number,earned:number}>}}
+     */
+    function summarize(r) {
+        const isNested = r && typeof r.grade === 'object';
+        const grade = (isNested ? r.grade : r) || {};
+        const student = String(r?.student ?? r?.name ?? grade.name ?? 'Student');
+        const sheets = new Map(), sections = new Map();
+        if (r?.error) return { student, error: String(r.error), total: null, possible: null, overrides: [], sheets, sections };
+
+        const add = (map, key, d) => {
+            const t = map.get(key) || { points: 0, earned: 0 };
+            t.points += (+d.points || 0);
+            t.earned += (+d.earned || 0);
+            map.set(key, t);
+        };
+        for (const d of grade.details ?? grade.Details ?? []) {
+            const sh = (d.sheet || '(Unknown sheet)').toString();
+            const sec = (d.section || '(No section)').toString();
+            add(sheets, sh, d);
+            add(sections, sectionKey(sh, sec), d);
+        }
+        const summed = [...sheets.values()].reduce((a, t) => a + t.earned, 0);
+        // active manual overrides (overrides.js): "check: 1 → 2 (reason)"
+        const overrides = (grade.details ?? grade.Details ?? []).filter(d => d.override)
+            .map(d => `${d.check ?? d.rule ?? ''}: ${d.override.original} → ${d.override.earned} (${d.override.reason})`);
+        const total = Number(grade.score_numeric ?? grade.earned ?? grade.Earned ?? summed);
+        const possible = Number(grade.total_points ?? grade.points ?? grade.Points ?? 0);
+        return { student, error: '', total, possible, overrides, sheets, sections };
+    }
+
+    /**
+     * Sheets and sections present in the report, in rubric order (sheet order of
+     * the rubric, then meta.sectionOrder / the sheet's section_order), with their
+     * points possible.
+     * @returns {Array<{sheet:string, points:number, sections:Array<{section:string, points:number}>}>}
+     */
+    function reportLayout(summaries, ctx) {
+        const sheets = new Map(); // sheet -> Map<section, points>
+        for (const s of summaries) {
+            for (const [key, t] of s.sections) {
+                const [sh, sec] = key.split('\u0000');
+                if (!sheets.has(sh)) sheets.set(sh, new Map());
+                const m = sheets.get(sh);
+                m.set(sec, Math.max(m.get(sec) || 0, t.points));
+            }
+        }
+        const rubricSheetNames = Object.keys(ctx.rubricSheets || {});
+        const rank = (list, name) => { const i = list.indexOf(name); return i < 0 ? list.length : i; };
+        const sheetNames = [...sheets.keys()].sort((a, b) => rank(rubricSheetNames, a) - rank(rubricSheetNames, b));
+        return sheetNames.map(sheet => {
+            const order = Array.isArray(ctx.rubricMeta?.sectionOrder) && ctx.rubricMeta.sectionOrder.length
+                ? ctx.rubricMeta.sectionOrder
+                : (Array.isArray(ctx.rubricSheets?.[sheet]?.section_order) ? ctx.rubricSheets[sheet].section_order : []);
+            const secs = [...sheets.get(sheet)].sort((a, b) => rank(order, a[0]) - rank(order, b[0]));
+            return {
+                sheet,
+                points: secs.reduce((a, [, p]) => a + p, 0),
+                sections: secs.map(([section, points]) => ({ section, points }))
+            };
+        });
+    }
+
+    /** The "Generic" mapping: identity, totals, status and every subtotal. */
+    function genericColumns(layout) {
+        const cols = ['student', 'id', 'total', 'possible', 'percent', 'status', 'error', 'overrides']
+            .map(source => ({ header: SOURCES.find(s => s[0] === source)[2], source }));
+        for (const sh of layout) {
+            cols.push({ header: sh.sheet, source: 'sheet', sheet: sh.sheet });
+            for (const sec of sh.sections) cols.push({ header: `${sh.sheet} / ${sec.section}`, source: 'section', sheet: sh.sheet, section: sec.section });
+        }
+        return cols;
+    }
+
+    // --- Values -----------------------------------------------------------------------
+
+    /**
+     * Decimals of the rubric's `scoring.round_to` (what the server rounds totals to).
+     * @param {{rubricScoring?:object}} ctx - From reportContext().
+     * @param {number} [fallback=2] - When the rubric sets none.
+     */
+    function rubricDecimals(ctx, fallback = 2) {
+        const rt = ctx?.rubricScoring?.round_to;
+        return rt != null && Number.isFinite(+rt) ? Math.max(0, Math.round(+rt)) : fallback;
+    }
+
+    /** Decimals used for numbers: the Decimals box, else the rubric's round_to, else 2. */
+    function decimals(ctx) {
+        if (settings.decimals !== '' && Number.isFinite(+settings.decimals)) return Math.max(0, Math.min(6, Math.round(+settings.decimals)));
+        return rubricDecimals(ctx);
+    }
+
+    /** `v` rounded to `dec` decimals, as text ('' when not a number). */
+    function round(v, dec) {
+        if (v == null || !Number.isFinite(+v)) return '';
+        const f = 10 ** dec;
+        return String(Math.round((+v + Number.EPSILON) * f) / f);
+    }
+
+    /** ID from a file name via the ID pattern (falls back to the name without extension). */
+    function idFromName(name) {
+        const base = String(name).replace(/^.*[\\/]/, '').replace(/\.xls[xm]?$/i, '');
+        if (!settings.idPattern) return base;
+        try {
+            const m = new RegExp(settings.idPattern).exec(base);
+            return m ? (m[1] ?? m[0]) : base;
+        } catch { return base; }
+    }
+
+    function cellValue(col, s, dec) {
+        switch (col.source) {
+            case 'student': return s.student;
+            case 'id': return idFromName(s.student);
+            case 'total': return s.error ? '' : round(s.total, dec);
+            case 'possible': return s.error ? '' : round(s.possible, dec);
+            case 'percent': return s.error || !s.possible ? '' : round(s.total / s.possible * 100, dec);
+            case 'status': return s.error ? 'ERROR' : 'OK';
+            case 'error': return s.error;
+            case 'overrides': return s.overrides.join('; ');
+            case 'sheet': return s.error ? '' : round(s.sheets.get(col.sheet)?.earned, dec);
+            case 'section': return s.error ? '' : round(s.sections.get(sectionKey(col.sheet, col.section))?.earned, dec);
+            default: return '';
+        }
+    }
+
+    /** Value of a column in the "Points Possible" row. */
+    function pointsValue(col, layout, possible, dec) {
+        switch (col.source) {
+            case 'student': return 'Points Possible';
+            case 'total': case 'possible': return round(possible, dec);
+            case 'percent': return '100';
+            case 'sheet': return round(layout.find(l => l.sheet === col.sheet)?.points, dec);
+            case 'section': return round(layout.find(l => l.sheet === col.sheet)?.sections.find(x => x.section === col.section)?.points, dec);
+            default: return '';
+        }
+    }
+
+    const csvCell = v => /[",\r\n]|^\s|\s$/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+
+    /**
+     * Builds the export table for the current report and settings.
+     * @returns {{rows:string[][], students:number, decimals:number, columns:object[], layout:object[]}}
+     */
+    function buildTable() {
+        const ctx = reportContext();
+        const summaries = reportRows().map(summarize);
+        const layout = reportLayout(summaries, ctx);
+        const columns = settings.columns || genericColumns(layout);
+        const dec = decimals(ctx);
+        const possible = Math.max(0, ...summaries.map(s => s.possible || 0));
+        const assignment = settings.assignment.trim() || ctx.rubricMeta?.name || 'Excel assignment';
+
+        const header = columns.map(c => (c.header || '')
+            .replace(/\{assignment\}/g, assignment)
+            .replace(/\{possible\}/g, round(possible, dec)));
+        const rows = [header];
+        if (PRESETS[settings.preset]?.pointsRow) rows.push(columns.map(c => pointsValue(c, layout, possible, dec)));
+        for (const s of summaries) rows.push(columns.map(c => cellValue(c, s, dec)));
+        return { rows, students: summaries.length, decimals: dec, columns, layout };
+    }
+
+    // --- UI -------------------------------------------------------------------------------
+
+    /** Source options for the mapping: fixed sources, then every sheet and section of the report. */
+    function sourceOptions(layout) {
+        const opts = SOURCES.map(([source, label, header]) => ({ value: JSON.stringify({ source }), label, header }));
+        for (const sh of layout) {
+            opts.push({ value: JSON.stringify({ source: 'sheet', sheet: sh.sheet }), label: `Sheet: ${sh.sheet}`, header: sh.sheet });
+            for (const sec of sh.sections)
+                opts.push({ value: JSON.stringify({ source: 'section', sheet: sh.sheet, section: sec.section }), label: `Section: ${sh.sheet} / ${sec.section}`, header: `${sh.sheet} / ${sec.section}` });
+        }
+        return opts;
+    }
+
+    const sourceValue = c => JSON.stringify(c.source === 'sheet' ? { source: 'sheet', sheet: c.sheet }
+        : c.source === 'section' ? { source: 'section', sheet: c.sheet, section: c.section }
+            : { source: c.source });
+
+    /** Makes the mapping editable (copies the preset's columns on first edit). */
+    function editableColumns(table) {
+        if (!settings.columns) settings.columns = table.columns.map(c => ({ ...c }));
+        return settings.columns;
+    }
+
+    function renderColumns(table) {
+        const opts = sourceOptions(table.layout);
+        columnsBox.innerHTML = '';
+        table.columns.forEach((col, i) => {
+            const row = el('div', 'hstack export-column');
+            const sel = el('select');
+            const current = sourceValue(col);
+            for (const o of opts) sel.append(new Option(o.label, o.value));
+            if (!opts.some(o => o.value === current)) sel.append(new Option(`${col.sheet ?? ''}${col.section ? ' / ' + col.section : ''} (not in this report)`, current));
+            sel.value = current;
+            const header = el('input');
+            header.type = 'text';
+            header.value = col.header || '';
+            header.placeholder = 'Header';
+
+            sel.onchange = () => {
+                const cols = editableColumns(table);
+                const prevDefault = opts.find(o => o.value === current)?.header ?? '';
+                const picked = JSON.parse(sel.value);
+                cols[i] = { header: cols[i].header, ...picked };
+                if (!cols[i].header || cols[i].header === prevDefault) cols[i].header = opts.find(o => o.value === sel.value)?.header ?? '';
+                changed();
+            };
+            header.oninput = () => {
+                editableColumns(table)[i].header = header.value;
+                saveSettings();
+                renderPreview(buildTable());
+            };
+
+            const btn = (label, title, fn) => {
+                const b = el('button', 'ghost', label);
+                b.type = 'button';
+                b.title = title;
+                b.onclick = (e) => { e.preventDefault(); fn(editableColumns(table)); changed(); };
+                return b;
+            };
+            row.append(
+                sel, header,
+                btn('↑', 'Move left', cols => { if (i > 0) cols.splice(i - 1, 0, cols.splice(i, 1)[0]); }),
+                btn('↓', 'Move right', cols => { if (i < cols.length - 1) cols.splice(i + 1, 0, cols.splice(i, 1)[0]); }),
+                btn('✕', 'Remove column', cols => cols.splice(i, 1))
+            );
+            columnsBox.append(row);
+        });
+    }
+
+    function renderPreview(table) {
+        preview.innerHTML = '';
+        const t = el('table', 'export-table');
+        table.rows.slice(0, 6).forEach((cells, r) => {
+            const tr = el('tr');
+            cells.forEach(v => tr.append(el(r === 0 ? 'th' : 'td', '', esc(v))));
+            t.append(tr);
+        });
+        preview.append(t);
+
+        const ctx = reportContext();
+        const fromRubric = settings.decimals === '' && ctx.rubricScoring?.round_to != null;
+        if (note) note.textContent = `${table.students} ${table.students === 1 ? 'student' : 'students'} · ${table.columns.length} columns · ${table.decimals} decimals${fromRubric ? ' (rubric round_to)' : ''}`
+            + (table.rows.length > 6 ? ' · preview shows the first rows' : '');
+    }
+
+    /** Persists the settings and redraws the mapping and preview. */
+    function changed() {
+        saveSettings();
+        const table = buildTable();
+        renderColumns(table);
+        renderPreview(table);
+    }
+
+    function refresh() {
+        if (panel.classList.contains('hidden')) return;
+        presetSel.value = settings.preset;
+        assignmentInput.value = settings.assignment;
+        assignmentInput.placeholder = reportContext().rubricMeta?.name || 'Excel assignment';
+        decimalsInput.value = settings.decimals;
+        const rt = reportContext().rubricScoring?.round_to;
+        decimalsInput.placeholder = rt != null ? `rubric: ${rt}` : '2';
+        idInput.value = settings.idPattern;
+        changed();
+    }
+
+    function exportCsv() {
+        const table = buildTable();
+        if (!table.students) return alert('Nothing to export yet.');
+        const csv = table.rows.map(r => r.map(v => csvCell(String(v ?? ''))).join(',')).join('\r\n') + '\r\n';
+        const slug = (settings.assignment.trim() || reportContext().rubricMeta?.name || 'gradebook').replace(/[^\w.-]+/g, '_');
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        a.download = `${slug}-${settings.preset}.csv`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    for (const [key, p] of Object.entries(PRESETS)) presetSel.append(new Option(p.label, key));
+
+    presetSel.addEventListener('change', () => {
+        settings.preset = presetSel.value;
+        settings.columns = PRESETS[settings.preset].columns ? PRESETS[settings.preset].columns.map(c => ({ ...c })) : null;
+        changed();
+    });
+    assignmentInput.addEventListener('input', () => { settings.assignment = assignmentInput.value; saveSettings(); renderPreview(buildTable()); });
+    decimalsInput.addEventListener('input', () => { settings.decimals = decimalsInput.value.trim(); saveSettings(); renderPreview(buildTable()); });
+    idInput.addEventListener('input', () => { settings.idPattern = idInput.value; saveSettings(); renderPreview(buildTable()); });
+
+    document.getElementById('btnExportAddColumn')?.addEventListener('click', e => {
+        e.preventDefault();
+        editableColumns(buildTable()).push({ header: '', source: 'blank' });
+        changed();
+    });
+    document.getElementById('btnExportCsv')?.addEventListener('click', e => { e.preventDefault(); exportCsv(); });
+    document.getElementById('btnExportGradebook')?.addEventListener('click', e => {
+        e.preventDefault();
+        if (!lastReportRaw) return alert('Nothing to export yet.');
+        panel.classList.toggle('hidden');
+        refresh();
+    });
+
+    // keep the panel in step with the report on screen
+    if (typeof showReport === 'function') {
+        const _orig = showReport;
+        window.showReport = function () {
+            const result = _orig.apply(this, arguments);
+            refresh();
+            return result;
+        };
+    }
+
+    window.gradebookExport = { build: buildTable, presets: Object.keys(PRESETS), idFromName, rows: reportRows, summarize, layout: reportLayout, refresh, rubricDecimals, round };
+})();
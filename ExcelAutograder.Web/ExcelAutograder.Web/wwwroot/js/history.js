@@ -0,0 +1,196 @@
+/**
+ * Undo / Redo History
+ * -------------------
+ * Keeps a bounded stack of rubric snapshots so any builder edit can be
+ * reverted. Wraps `render()` and `refreshJsonPreview()` so every change to
+ * the global `rubric` is captured right after it happens; handlers describe
+ * the change beforehand with `noteEdit(label)` to get a readable entry
+ * ("Removed sheet 'Scores'"). Also wires Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y),
+ * the Undo/Redo toolbar buttons and the short history list in the rail.
+ */
+(function () {
+    const LIMIT = 100;        // max undo steps kept in memory
+    const LIST_SIZE = 8;      // entries shown in #historyList
+
+    /** @type {{label:string, time:number, snap:string}[]} state before each change, oldest first */
+    const past = [];
+    /** @type {{label:string, time:number, snap:string}[]} undone states, most recently undone last */
+    const future = [];
+
+    let current = snapshot();  // serialized rubric as of the last commit
+    let pending = null;        // label for the next commit
+    let restoring = false;     // true while undo/redo re-renders
+    let depth = 0;             // >0 while inside render()
+
+    /**
+     * Serializes the global rubric for comparison and storage.
+     * @returns {string}
+     */
+    function snapshot() {
+        try { return JSON.stringify(rubric); } catch (e) { return ''; }
+    }
+
+    /**
+     * Describes the next rubric change. The label is consumed by the next commit;
+     * calling it again before then replaces it.
+     * @param {string} label - Short description, e.g. "Moved 4 rules to 'SUMIFS'".
+     */
+    function noteEdit(label) { pending = label; }
+    window.noteEdit = noteEdit;
+
+    /**
+     * Records a history entry if the rubric differs from the last snapshot.
+     * No-op while restoring or while a render is still in progress.
+     */
+    function commit() {
+        if (restoring || depth > 0) return;
+        const now = snapshot();
+        if (now === current) return;
+        past.push({ label: pending || 'Edited rubric', time: Date.now(), snap: current });
+        if (past.length > LIMIT) past.shift();
+        future.length = 0;
+        current = now;
+        pending = null;
+        refreshHistoryUI();
+    }
+
+    /**
+     * Replaces the global rubric with a stored snapshot and re-renders without recording.
+     * @param {string} snap - Serialized rubric.
+     */
+    function restore(snap) {
+        restoring = true;
+        try {
+            rubric = JSON.parse(snap);
+            render();
+        } finally {
+            restoring = false;
+        }
+        current = snapshot(); // render may normalize (ids, pivot/chart shapes)
+        pending = null;
+        refreshHistoryUI();
+    }
+
+    /** Reverts the most recent change. */
+    function undo() {
+        const e = past.pop();
+        if (!e) return;
+        future.push({ label: e.label, time: e.time, snap: current });
+        restore(e.snap);
+    }
+
+    /** Re-applies the most recently undone change. */
+    function redo() {
+        const e = future.pop();
+        if (!e) return;
+        past.push({ label: e.label, time: e.time, snap: current });
+        restore(e.snap);
+    }
+
+    /**
+     * Rebuilds the Undo/Redo button states and the short history list.
+     *
+     * Expected DOM:
+     *  - #btnUndo, #btnRedo (buttons)
+     *  - #historyList (container; newest entry first, undone entries greyed)
+     */
+    function refreshHistoryUI() {
+        const btnUndo = document.getElementById('btnUndo');
+        const btnRedo = document.getElementById('btnRedo');
+        if (btnUndo) {
+            btnUndo.disabled = past.length === 0;
+            btnUndo.title = past.length ? `Undo: ${past[past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (btnRedo) {
+            btnRedo.disabled = future.length === 0;
+            btnRedo.title = future.length ? `Redo: ${future[future.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+
+        const host = document.getElementById('historyList');
+        if (!host) return;
+        host.innerHTML = '';
+
+        const time = t => new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        // redo side (closest to the present at the bottom), then the undo side newest first
+        const rows = [
+            ...future.map((e, i) => ({ e, steps: future.length - i, redo: true })),
+            ...past.slice().reverse().map((e, i) => ({ e, steps: i + 1, redo: false }))
+        ];
+        const start = Math.max(0, future.length - Math.floor(LIST_SIZE / 2));
+        rows.slice(start, start + LIST_SIZE).forEach(({ e, steps, redo: isRedo }) => {
+            const row = document.createElement('div');
+            row.className = 'history-row' + (isRedo ? ' undone' : '');
+            const lbl = document.createElement('span'); lbl.className = 'label'; lbl.textContent = e.label;
+            const at = document.createElement('span'); at.className = 'tiny muted'; at.textContent = time(e.time);
+            row.title = isRedo ? 'Click to redo up to here' : 'Click to undo back to before this change';
+            row.onclick = () => { for (let i = 0; i < steps; i++) (isRedo ? redo : undo)(); };
+            row.append(lbl, at);
+            host.append(row);
+        });
+
+        if (!rows.length) {
+            const empty = document.createElement('div');
+            empty.className = 'tiny muted';
+            empty.textContent = 'No changes yet.';
+            host.append(empty);
+        }
+    }
+
+    // --- Hooks: commit after every render / JSON refresh ----------------------
+
+    if (typeof render === 'function') {
+        const _orig = render;
+        window.render = function () {
+            depth++;
+            try { return _orig.apply(this, arguments); }
+            finally { depth--; commit(); }
+        };
+    }
+
+    if (typeof refreshJsonPreview === 'function') {
+        const _orig = refreshJsonPreview;
+        window.refreshJsonPreview = function () {
+            const result = _orig.apply(this, arguments);
+            commit();
+            return result;
+        };
+    }
+
+    // Report options and total points are only read on collect; record them on change.
+    [['optPassFail', 'Toggled Pass/Fail column'], ['optComments', 'Toggled comments'], ['totalPoints', 'Changed total points']]
+        .forEach(([id, label]) => document.getElementById(id)?.addEventListener('change', () => {
+            noteEdit(label);
+            refreshJsonPreview();
+        }));
+
+    // --- Toolbar + keyboard ---------------------------------------------------
+
+    document.getElementById('btnUndo')?.addEventListener('click', (e) => { e.preventDefault(); undo(); });
+    document.getElementById('btnRedo')?.addEventListener('click', (e) => { e.preventDefault(); redo(); });
+
+    /**
+     * True when the event target is a text field that should keep its native undo.
+     * @param {EventTarget} t
+     * @returns {boolean}
+     */
+    function isTextEditing(t) {
+        if (!t || !t.tagName) return false;
+        if (t.isContentEditable || t.tagName === 'TEXTAREA') return true;
+        if (t.tagName !== 'INPUT') return false;
+        return !['checkbox', 'radio', 'button', 'submit', 'file'].includes((t.type || '').toLowerCase());
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const k = (e.key || '').toLowerCase();
+        if (k !== 'z' && k !== 'y') return;
+        if (isTextEditing(e.target)) return;
+        e.preventDefault();
+        if (k === 'y' || e.shiftKey) redo(); else undo();
+    });
+
+    window.undoHistory = { undo, redo, commit, canUndo: () => past.length > 0, canRedo: () => future.length > 0 };
+
+    refreshHistoryUI();
+})();
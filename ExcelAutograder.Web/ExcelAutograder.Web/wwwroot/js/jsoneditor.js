@@ -0,0 +1,154 @@
+/**
+ * Two-Way JSON Editor
+ * -------------------
+ * Turns #jsonBox into an editor for the builder rubric. Typing is parsed after
+ * a short debounce; valid JSON goes back through `loadRubric()` (one undo
+ * step per burst of typing) and invalid JSON is reported in #jsonStatus with
+ * line and column.
+ *
+ * Builder-driven refreshes no longer clobber the box while it is being edited:
+ * the text is only replaced when the box is not focused, and then the caret
+ * and scroll position are carried over to the matching spot in the new text.
+ * On blur the box is re-synced to the builder's canonical JSON.
+ */
+(function () {
+    const box = document.getElementById('jsonBox');
+    const status = document.getElementById('jsonStatus');
+    if (!box) return;
+
+    const DEBOUNCE_MS = 600;
+    let timer = null;
+    let editing = false;     // user typed since the last sync
+    let parseError = null;   // { message, line, column, pos } of the current text
+
+    /**
+     * Converts a character offset to a 1-based line/column.
+     * @param {string} text
+     * @param {number} pos
+     * @returns {{line:number, column:number}}
+     */
+    function lineCol(text, pos) {
+        const before = text.slice(0, pos).split('\n');
+        return { line: before.length, column: before[before.length - 1].length + 1 };
+    }
+
+    /**
+     * Parses JSON and, on failure, locates the error from the engine's message
+     * ("at position N" in Chromium/Node, "at line L column C" in Firefox).
+     * @param {string} text
+     * @returns {{value?:any, error?:{message:string, line:number, column:number, pos:number}}}
+     */
+    function parseWithLocation(text) {
+        try { return { value: JSON.parse(text) }; }
+        catch (e) {
+            const msg = String(e.message || e);
+            let pos = null;
+            const lc = /line (\d+) column (\d+)/i.exec(msg);
+            if (lc) {
+                const lines = text.split('\n');
+                const line = Math.min(+lc[1], lines.length);
+                pos = lines.slice(0, line - 1).reduce((a, l) => a + l.length + 1, 0) + (+lc[2] - 1);
+            } else {
+                const p = /position (\d+)/i.exec(msg);
+                pos = p ? +p[1] : text.length;
+            }
+            pos = Math.max(0, Math.min(pos, text.length));
+            const { line, column } = lineCol(text, pos);
+            const message = msg.replace(/^JSON\.parse:\s*/, '').replace(/\s*(in JSON )?at (position \d+|line \d+ column \d+).*$/i, '');
+            return { error: { message, line, column, pos } };
+        }
+    }
+
+    /** Shows the parse state under the box. */
+    function showStatus() {
+        if (!status) return;
+        status.innerHTML = '';
+        status.className = 'tiny json-status';
+        box.classList.toggle('json-invalid', !!parseError);
+        if (!parseError) {
+            if (editing) { status.textContent = '✔ Valid JSON — applied to the builder'; status.classList.add('v-ok'); }
+            return;
+        }
+        status.classList.add('v-error');
+        const go = el('a', 'link', `Line ${parseError.line}, column ${parseError.column}`);
+        go.href = '#';
+        go.onclick = (e) => { e.preventDefault(); box.focus(); box.setSelectionRange(parseError.pos, parseError.pos); };
+        status.append('✖ ', go, `: ${parseError.message}`);
+    }
+
+    /** Parses the box and pushes valid JSON into the builder. */
+    function applyEdits() {
+        timer = null;
+        const res = parseWithLocation(box.value);
+        parseError = res.error || null;
+        if (!parseError) {
+            if (!res.value || typeof res.value !== 'object' || Array.isArray(res.value)) {
+                parseError = { message: 'The rubric must be a JSON object', ...lineCol(box.value, 0), pos: 0 };
+            } else if (JSON.stringify(res.value) !== JSON.stringify(rubric)) {
+                noteEdit('Edited rubric JSON');
+                loadRubric(res.value);
+            }
+        }
+        showStatus();
+    }
+
+    /**
+     * Replaces the box text while keeping the caret/selection on the same
+     * content: offsets inside the unchanged prefix stay, offsets inside the
+     * unchanged suffix move with it.
+     * @param {string} prev - Text shown before the refresh.
+     * @param {string} next - Text to show.
+     * @param {{s:number, e:number, scrollTop:number}} caret - Selection/scroll captured before the refresh.
+     */
+    function setTextPreservingCaret(prev, next, caret) {
+        const { s, e, scrollTop } = caret;
+        let pre = 0;
+        const max = Math.min(prev.length, next.length);
+        while (pre < max && prev[pre] === next[pre]) pre++;
+        let suf = 0;
+        while (suf < max - pre && prev[prev.length - 1 - suf] === next[next.length - 1 - suf]) suf++;
+        const map = i => (i <= pre ? i : i >= prev.length - suf ? i + (next.length - prev.length) : Math.min(i, next.length - suf));
+        if (box.value !== next) box.value = next;
+        try { box.setSelectionRange(map(s), map(e)); } catch (err) { /* not focusable yet */ }
+        box.scrollTop = scrollTop;
+    }
+
+    // --- Hooks ------------------------------------------------------------------
+
+    if (typeof refreshJsonPreview === 'function') {
+        const _orig = refreshJsonPreview;
+        window.refreshJsonPreview = function () {
+            const prev = box.value;
+            const caret = { s: box.selectionStart, e: box.selectionEnd, scrollTop: box.scrollTop };
+            const result = _orig.apply(this, arguments);
+            const next = box.value;
+            if (editing && document.activeElement === box) { setTextPreservingCaret(prev, prev, caret); return result; } // keep the user's text
+            setTextPreservingCaret(prev, next, caret);
+            if (editing) { editing = false; parseError = null; showStatus(); } // builder changes win over left-over broken text
+            return result;
+        };
+    }
+
+    box.addEventListener('input', () => {
+        editing = true;
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(applyEdits, DEBOUNCE_MS);
+    });
+
+    box.addEventListener('blur', () => {
+        if (timer) { clearTimeout(timer); applyEdits(); }
+        if (parseError) return; // leave broken text in place so it can be fixed
+        refreshJsonPreview();
+    });
+
+    // make sure "Grade with Current JSON" never sends half-typed or broken JSON
+    document.getElementById('btnGradeWithJson')?.addEventListener('click', (e) => {
+        if (timer) { clearTimeout(timer); applyEdits(); }
+        if (parseError) {
+            e.stopImmediatePropagation();
+            alert(`The rubric JSON has an error at line ${parseError.line}, column ${parseError.column}: ${parseError.message}`);
+        }
+    }, true);
+
+    window.jsonEditor = { parse: parseWithLocation, apply: applyEdits, hasError: () => !!parseError };
+})();
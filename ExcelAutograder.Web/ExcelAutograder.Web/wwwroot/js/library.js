@@ -0,0 +1,227 @@
+/**
+ * Server Rubric Library
+ * ---------------------
+ * Lists, opens, saves, duplicates and deletes rubrics stored on the server
+ * under wwwroot/rubrics (GET /api/rubrics, GET|POST|DELETE /api/rubric/{name}).
+ * Tracks which library rubric the builder was opened from and shows an
+ * unsaved-changes indicator by wrapping `render()` / `refreshJsonPreview()`.
+ * Also fills #gradeRubricName so "Grade" can use a library rubric by name.
+ */
+(function () {
+    const picker = document.getElementById('libraryPicker');
+    const status = document.getElementById('libraryStatus');
+    const gradePicker = document.getElementById('gradeRubricName');
+    if (!picker) return;
+
+    let currentName = null;   // library file the builder is tied to
+    let savedSnap = null;     // serialized rubric as last opened/saved
+    let names = [];
+
+    const snapshot = () => { try { return JSON.stringify(rubric); } catch (e) { return ''; } };
+
+    /**
+     * Reads a JSON error body ({ error, detail }) or falls back to the status text.
+     * @param {Response} res
+     * @returns {Promise<string>}
+     */
+    async function errorText(res) {
+        const body = await res.json().catch(() => ({}));
+        return body.detail ? `${body.error}: ${body.detail}` : (body.error || `HTTP ${res.status}`);
+    }
+
+    /**
+     * Fetches the list of saved rubric file names.
+     * @returns {Promise<string[]>}
+     */
+    async function fetchNames() {
+        const res = await fetch('/api/rubrics');
+        if (!res.ok) throw new Error(await errorText(res));
+        return (await res.json()).slice().sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Loads one library rubric as parsed JSON.
+     * @param {string} name - File name, e.g. "HW_2_Rubric.json".
+     * @returns {Promise<object>}
+     */
+    async function fetchRubric(name) {
+        const res = await fetch(`/api/rubric/${encodeURIComponent(name)}`);
+        if (res.status === 404) throw new Error(`'${name}' no longer exists on the server.`);
+        if (!res.ok) throw new Error(await errorText(res));
+        return res.json();
+    }
+
+    /**
+     * Saves a rubric object under a library name.
+     * @param {string} name
+     * @param {object} obj
+     * @returns {Promise<string>} The sanitized file name the server saved to.
+     */
+    async function postRubric(name, obj) {
+        const res = await fetch(`/api/rubric/${encodeURIComponent(name)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(obj, null, 2)
+        });
+        if (!res.ok) throw new Error(await errorText(res));
+        return (await res.json()).saved || name;
+    }
+
+    /** Normalizes a typed name to the server's "<name>.json" form. */
+    const asFileName = n => /\.json$/i.test(n) ? n : n + '.json';
+
+    /**
+     * Re-reads the server list and repopulates both pickers.
+     * @param {string} [select] - Name to select afterwards.
+     */
+    async function refreshLibrary(select) {
+        try { names = await fetchNames(); }
+        catch (e) { names = []; console.warn('Could not list library rubrics', e); }
+
+        const keep = select || picker.value || currentName || '';
+        picker.innerHTML = '';
+        picker.append(new Option(names.length ? 'Library rubrics…' : '(library is empty)', '', true, false));
+        names.forEach(n => picker.append(new Option(n, n)));
+        if (names.includes(keep)) picker.value = keep;
+
+        if (gradePicker) {
+            const gKeep = gradePicker.value;
+            gradePicker.innerHTML = '';
+            gradePicker.append(new Option('(none — use uploaded file)', '', true, false));
+            names.forEach(n => gradePicker.append(new Option(n, n)));
+            if (names.includes(gKeep)) gradePicker.value = gKeep;
+        }
+        refreshStatus();
+    }
+
+    /**
+     * True when the builder differs from the library file it was opened from,
+     * or holds sheets that were never saved to the library.
+     * @returns {boolean}
+     */
+    function isDirty() {
+        if (savedSnap === null) return Object.keys(rubric.sheets || {}).length > 0;
+        return snapshot() !== savedSnap;
+    }
+
+    /** Updates the "saved / unsaved changes" indicator. */
+    function refreshStatus() {
+        if (!status) return;
+        const dirty = isDirty();
+        status.classList.toggle('dirty', dirty);
+        if (currentName === null) status.textContent = dirty ? '● Not saved to library' : '';
+        else status.textContent = dirty ? `● Unsaved changes (${currentName})` : `Saved: ${currentName}`;
+    }
+
+    /** Marks the builder as in sync with a library file. */
+    function markSaved(name) {
+        currentName = name;
+        savedSnap = snapshot();
+        refreshStatus();
+    }
+
+    /**
+     * True when it is safe to replace the builder (no unsaved edits, or the user agreed).
+     * @returns {boolean}
+     */
+    function confirmDiscard() {
+        return !isDirty() || confirm('The builder has unsaved changes. Discard them?');
+    }
+
+    async function openSelected() {
+        const name = picker.value;
+        if (!name) return alert('Pick a library rubric first.');
+        if (!confirmDiscard()) return;
+        try {
+            const obj = await fetchRubric(name);
+            if (typeof noteEdit === 'function') noteEdit(`Opened library rubric '${name}'`);
+            loadRubric(obj);
+            const base = document.getElementById('jsonFilename');
+            if (base) base.value = name.replace(/\.json$/i, '');
+            markSaved(name);
+        } catch (e) { alert('Could not open rubric: ' + e.message); }
+    }
+
+    /**
+     * Saves the builder under a name, asking before overwriting another file.
+     * @param {string} name
+     */
+    async function saveAs(name) {
+        const file = asFileName(name);
+        if (file !== currentName && names.includes(file) && !confirm(`'${file}' already exists. Overwrite it?`)) return;
+        try {
+            const saved = await postRubric(file, collectRubric());
+            markSaved(saved);
+            await refreshLibrary(saved);
+        } catch (e) { alert('Could not save rubric: ' + e.message); }
+    }
+
+    async function save() {
+        if (!currentName) return saveAsPrompt();
+        await saveAs(currentName);
+    }
+
+    async function saveAsPrompt() {
+        const suggested = currentName || document.getElementById('jsonFilename')?.value.trim() || 'rubric';
+        const name = prompt('Save rubric to library as:', suggested.replace(/\.json$/i, ''));
+        if (!name || !name.trim()) return;
+        await saveAs(name.trim());
+    }
+
+    async function duplicateSelected() {
+        const name = picker.value;
+        if (!name) return alert('Pick a library rubric first.');
+        const copy = prompt(`Duplicate '${name}' as:`, name.replace(/\.json$/i, '') + ' Copy');
+        if (!copy || !copy.trim()) return;
+        const file = asFileName(copy.trim());
+        if (names.includes(file) && !confirm(`'${file}' already exists. Overwrite it?`)) return;
+        try {
+            const saved = await postRubric(file, await fetchRubric(name));
+            await refreshLibrary(saved);
+        } catch (e) { alert('Could not duplicate rubric: ' + e.message); }
+    }
+
+    async function deleteSelected() {
+        const name = picker.value;
+        if (!name) return alert('Pick a library rubric first.');
+        if (!confirm(`Delete '${name}' from the server library? This cannot be undone.`)) return;
+        try {
+            const res = await fetch(`/api/rubric/${encodeURIComponent(name)}`, { method: 'DELETE' });
+            if (!res.ok && res.status !== 404) throw new Error(await errorText(res));
+            if (currentName === name) { currentName = null; savedSnap = null; }
+            await refreshLibrary('');
+        } catch (e) { alert('Could not delete rubric: ' + e.message); }
+    }
+
+    // --- Hooks: keep the dirty indicator current --------------------------------
+
+    if (typeof render === 'function') {
+        const _orig = render;
+        window.render = function () {
+            const result = _orig.apply(this, arguments);
+            refreshStatus();
+            return result;
+        };
+    }
+
+    if (typeof refreshJsonPreview === 'function') {
+        const _orig = refreshJsonPreview;
+        window.refreshJsonPreview = function () {
+            const result = _orig.apply(this, arguments);
+            refreshStatus();
+            return result;
+        };
+    }
+
+    document.getElementById('btnLibraryOpen')?.addEventListener('click', e => { e.preventDefault(); openSelected(); });
+    document.getElementById('btnLibrarySave')?.addEventListener('click', e => { e.preventDefault(); save(); });
+    document.getElementById('btnLibrarySaveAs')?.addEventListener('click', e => { e.preventDefault(); saveAsPrompt(); });
+    document.getElementById('btnLibraryDuplicate')?.addEventListener('click', e => { e.preventDefault(); duplicateSelected(); });
+    document.getElementById('btnLibraryDelete')?.addEventListener('click', e => { e.preventDefault(); deleteSelected(); });
+    document.getElementById('btnLibraryRefresh')?.addEventListener('click', e => { e.preventDefault(); refreshLibrary(); });
+    picker.addEventListener('dblclick', () => openSelected());
+
+    window.rubricLibrary = { refresh: refreshLibrary, currentName: () => currentName };
+
+    refreshLibrary();
+})();
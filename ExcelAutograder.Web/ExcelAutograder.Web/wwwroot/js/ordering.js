@@ -60,6 +60,14 @@
         return Array.isArray(m.sectionOrder) ? m.sectionOrder.slice() : [];
     }
 
+    /**
+     * Describes the next order change for the undo history (when loaded).
+     * @param {string} text - History label, e.g. "Moved section 'Totals' up".
+     */
+    function noteOrderEdit(text) {
+        if (typeof noteEdit === 'function') noteEdit(text);
+    }
+
     /**
      * Sets the global section order, marks it as strict, and triggers
      * dependent UI/ordering refreshes (sheet order, order UI, renderers).
@@ -94,9 +102,52 @@
         return Array.from(set).sort((a, b) => a.localeCompare(b));
     }
 
+    /**
+     * Makes one section-order row draggable; dropping it on another row moves it
+     * before/after that row depending on which half the pointer is over.
+     * @param {HTMLElement} row - The `.order-row` element.
+     * @param {string} name - Section name the row represents.
+     */
+    function wireOrderDrag(row, name) {
+        const MIME = 'text/x-section-order';
+        row.draggable = true;
+        row.dataset.section = name;
+
+        const clearMarks = () => row.classList.remove('drop-before', 'drop-after');
+        const isAfter = (e) => { const r = row.getBoundingClientRect(); return e.clientY > r.top + r.height / 2; };
+
+        row.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(MIME, name);
+            e.dataTransfer.effectAllowed = 'move';
+            row.classList.add('dragging');
+        });
+        row.addEventListener('dragend', () => row.classList.remove('dragging'));
+        row.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(MIME)) return;
+            e.preventDefault();
+            const after = isAfter(e);
+            row.classList.toggle('drop-after', after);
+            row.classList.toggle('drop-before', !after);
+        });
+        row.addEventListener('dragleave', clearMarks);
+        row.addEventListener('drop', (e) => {
+            const moving = e.dataTransfer.getData(MIME);
+            const after = isAfter(e);
+            clearMarks();
+            if (!moving || moving === name) return;
+            e.preventDefault();
+
+            const arr = getSectionOrder().filter(s => s !== moving);
+            const at = arr.indexOf(name);
+            arr.splice(after ? at + 1 : at, 0, moving);
+            noteOrderEdit(`Moved section '${moving}' ${after ? 'after' : 'before'} '${name}'`);
+            setSectionOrder(arr);
+        });
+    }
+
     /**
      * Rebuilds the Section Order management UI:
-     *  - Renders current ordered sections with ↑/↓/Remove controls.
+     *  - Renders current ordered sections with ↑/↓/Remove controls (rows are also draggable).
      *  - Populates a picker with remaining (unordered) sections.
      *  - Wires "Add" and "Clear" buttons to update the global order.
      *
@@ -127,6 +178,7 @@
 
             up.onclick = () => {
                 if (i === 0) return;
+                noteOrderEdit(`Moved section '${name}' up`);
                 const arr = getSectionOrder();
                 [arr[i - 1], arr[i]] = [arr[i], arr[i - 1]];
                 setSectionOrder(arr);
@@ -134,15 +186,18 @@
             down.onclick = () => {
                 const arr = getSectionOrder();
                 if (i >= arr.length - 1) return;
+                noteOrderEdit(`Moved section '${name}' down`);
                 [arr[i + 1], arr[i]] = [arr[i], arr[i + 1]];
                 setSectionOrder(arr);
             };
             del.onclick = () => {
+                noteOrderEdit(`Removed '${name}' from section order`);
                 const arr = getSectionOrder().filter(s => s !== name);
                 setSectionOrder(arr);
             };
 
             row.append(up, down, nm, spacer, idx, del);
+            wireOrderDrag(row, name);
             host.append(row);
         });
 
@@ -161,11 +216,12 @@
         if (btnAdd) btnAdd.onclick = () => {
             const v = pick.value;
             if (!v) return;
+            noteOrderEdit(`Added '${v}' to section order`);
             const arr = getSectionOrder();
             arr.push(v);
             setSectionOrder(arr);
         };
-        if (btnClear) btnClear.onclick = () => setSectionOrder([]);
+        if (btnClear) btnClear.onclick = () => { noteOrderEdit('Cleared section order'); setSectionOrder([]); };
     }
 
     // --- Sorting hook for rule lists ----------------------------------------
@@ -185,6 +241,9 @@
             const idx = order.indexOf(sec);
             const secRank = (idx >= 0) ? String(idx).padStart(3, '0') : '999';
 
+            // manual order: keep the rubric's own rule order inside each section
+            if (UI.sortBy === 'manual') return secRank + '|' + sec + '|' + String(index).padStart(6, '0');
+
             const t = (rule.type || '').toString();
             const c = (rule.cell || '').toString();
             const n = (rule.note || '').toString();
@@ -0,0 +1,218 @@
+/**
+ * Manual Point Overrides
+ * ----------------------
+ * Lets a grader change the earned points of any check in the results cards
+ * (✎ next to "Earned"), with a required reason. The override is written into
+ * the report row itself, so "Download report", the gradebook export, the
+ * feedback pages and the analytics tab all use the adjusted numbers:
+ *
+ *   detail.earned / passed / status  the overridden values
+ *   detail.override                  { earned, original, original_passed, reason, at }
+ *   grade.overrides                  audit trail: every change (sheet, section, check,
+ *                                    from, to, original, reason, at as ISO time)
+ *   grade.score_numeric              server score plus the override deltas (rubric round_to)
+ *   grade.score_original             the server's score while overrides are active
+ *
+ * Adjusted rows carry a badge; the card header counts them and opens the
+ * audit trail. Setting a check back to its original points removes its
+ * override (the trail keeps the history).
+ */
+(function () {
+    if (typeof renderStudentCard !== 'function' || !window.gradebookExport) return;
+
+    const gradeOf = r => (r && typeof r.grade === 'object' ? r.grade : r);
+    const detailsOf = g => g?.details ?? g?.Details;
+
+    /**
+     * Rounds like the server: to `scoring.round_to` decimals when the rubric
+     * sets it, otherwise only float noise is removed.
+     */
+    function roundScore(v, ctx) {
+        return Number(gradebookExport.round(v, gradebookExport.rubricDecimals(ctx, 10)));
+    }
+
+    /** Recomputes the student's score from the server score and the active overrides. */
+    function recompute(grade, ctx) {
+        const details = detailsOf(grade) || [];
+        const active = details.filter(d => d.override);
+        if (!active.length) {
+            if (grade.score_original != null) { grade.score_numeric = grade.score_original; delete grade.score_original; }
+        } else {
+            if (grade.score_original == null) grade.score_original = Number(grade.score_numeric ?? grade.earned ?? 0);
+            const delta = active.reduce((a, d) => a + (Number(d.override.earned) - Number(d.override.original)), 0);
+            grade.score_numeric = roundScore(grade.score_original + delta, ctx);
+        }
+        if (grade.total_points != null) grade.score_out_of_total = `${grade.score_numeric}/${grade.total_points}`;
+    }
+
+    /**
+     * Sets (or reverts) the earned points of one check and logs the change.
+     * @param {object} r - Report row ({ student, grade } or a bare grade).
+     * @param {object} d - One of its details.
+     * @param {number} value - New earned points.
+     * @param {string} reason
+     */
+    function applyOverride(r, d, value, reason, ctx) {
+        const grade = gradeOf(r);
+        const from = Number(d.earned);
+        const original = d.override ? Number(d.override.original) : from;
+        const originalPassed = d.override ? d.override.original_passed : (d.passed ?? d.Passed);
+        const at = new Date().toISOString();
+
+        if (Math.abs(value - original) < 1e-9) {
+            d.earned = original;
+            if (originalPassed == null) delete d.passed; else d.passed = originalPassed;
+            delete d.override;
+        } else {
+            d.earned = value;
+            d.passed = value >= Number(d.points) - 1e-9;
+            d.override = { earned: value, original, original_passed: originalPassed ?? null, reason, at };
+        }
+        if (d.status != null) d.status = (d.passed ?? (d.earned >= d.points)) ? 'PASS' : 'FAIL';
+
+        grade.overrides = grade.overrides || [];
+        grade.overrides.push({
+            sheet: d.sheet ?? null, section: d.section ?? null, check: d.check ?? d.rule ?? '',
+            from, to: Number(d.earned), original, reason, at
+        });
+        recompute(grade, ctx);
+    }
+
+    /** Writes the edited report back to lastReportRaw and refreshes the views built from it. */
+    function sync() {
+        if (lastReportData) lastReportRaw = JSON.stringify(lastReportData, null, 2);
+        window.gradebookExport?.refresh?.();
+        window.classAnalytics?.refresh?.();
+    }
+
+    function closeEditors(card) {
+        card.querySelectorAll('tr.override-editor').forEach(x => x.remove());
+    }
+
+    /** Inline editor row under a check. */
+    function openEditor(card, tr, r, d, ctx) {
+        const open = tr.nextElementSibling?.classList.contains('override-editor');
+        closeEditors(card);
+        if (open) return;
+
+        const row = el('tr', 'override-editor');
+        const td = el('td');
+        td.colSpan = 5;
+        const form = el('div', 'hstack override-form');
+        const value = el('input');
+        value.type = 'number'; value.min = '0'; value.max = String(d.points ?? ''); value.step = 'any';
+        value.value = String(d.earned ?? 0);
+        const reason = el('input');
+        reason.type = 'text'; reason.placeholder = 'Reason (required)';
+        reason.value = d.override?.reason || '';
+        const save = el('button', 'primary', 'Save');
+        const cancel = el('button', 'ghost', 'Cancel');
+        save.type = cancel.type = 'button';
+        form.append(el('span', 'tiny', 'Earned'), value, el('span', 'tiny muted', `of ${fmtNum(d.points)}`), reason, save);
+        if (d.override) {
+            const revert = el('button', 'ghost', `Revert to ${fmtNum(d.override.original)}`);
+            revert.type = 'button';
+            revert.onclick = (e) => {
+                e.preventDefault();
+                const why = reason.value.trim();
+                commit(Number(d.override.original), why && why !== d.override.reason ? why : 'Reverted');
+            };
+            form.append(revert);
+        }
+        form.append(cancel);
+        if (d.override) form.append(el('span', 'tiny muted', `Originally ${esc(fmtNum(d.override.original))}`));
+        td.append(form);
+        row.append(td);
+        tr.after(row);
+        value.focus();
+        value.select?.();
+
+        function commit(v, why) {
+            applyOverride(r, d, v, why, ctx);
+            card.replaceWith(renderStudentCard(r, ctx));
+            sync();
+        }
+
+        save.onclick = (e) => {
+            e.preventDefault();
+            const v = Number(value.value);
+            const max = Number(d.points);
+            if (value.value.trim() === '' || !Number.isFinite(v) || v < 0 || (Number.isFinite(max) && v > max + 1e-9))
+                return alert(`Enter earned points between 0 and ${fmtNum(d.points)}.`);
+            if (!reason.value.trim()) { reason.focus(); return alert('Give a reason for the override.'); }
+            if (Math.abs(v - Number(d.earned)) < 1e-9 && reason.value.trim() === (d.override?.reason || '')) return closeEditors(card);
+            commit(v, reason.value.trim());
+        };
+        cancel.onclick = (e) => { e.preventDefault(); closeEditors(card); };
+        row.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') save.click();
+            else if (e.key === 'Escape') cancel.click();
+        });
+    }
+
+    /** Audit trail of a card (toggled from the header badge). */
+    function auditTrail(grade) {
+        const box = el('div', 'override-log hidden');
+        const t = el('table', 'analytics-table');
+        const head = el('tr');
+        ['When', 'Check', 'Change', 'Reason'].forEach(h => head.append(el('th', '', h)));
+        t.append(head);
+        for (const o of [...grade.overrides].reverse()) {
+            const tr = el('tr');
+            tr.append(
+                el('td', 'tiny', esc(new Date(o.at).toLocaleString())),
+                el('td', 'mono', esc([o.sheet, o.section, o.check].filter(Boolean).join(' › '))),
+                el('td', 'mono', `${esc(fmtNum(o.from))} → ${esc(fmtNum(o.to))}${Math.abs(o.to - o.original) < 1e-9 ? ' <span class="tiny muted">(original)</span>' : ''}`),
+                el('td', '', esc(o.reason || ''))
+            );
+            t.append(tr);
+        }
+        box.append(t);
+        return box;
+    }
+
+    /** Adds the ✎ buttons, row badges and the header badge / audit trail to a rendered card. */
+    function decorate(card, r, ctx) {
+        const grade = gradeOf(r);
+        const details = detailsOf(grade);
+        if (!Array.isArray(details) || r?.error) return card;
+
+        card.querySelectorAll('tr[data-detail]').forEach(tr => {
+            const d = details[+tr.dataset.detail];
+            const cell = tr.cells[2];
+            if (!d || !cell) return;
+            if (d.override) {
+                tr.classList.add('overridden');
+                const badge = el('span', 'tag override-badge', 'adjusted');
+                badge.title = `Was ${fmtNum(d.override.original)} · ${d.override.reason} · ${new Date(d.override.at).toLocaleString()}`;
+                cell.append(' ', badge);
+            }
+            const btn = el('button', 'ghost override-btn', '✎');
+            btn.type = 'button';
+            btn.title = 'Override the earned points';
+            btn.onclick = (e) => { e.preventDefault(); openEditor(card, tr, r, d, ctx); };
+            cell.append(btn);
+        });
+
+        if (grade.overrides?.length) {
+            const active = details.filter(d => d.override).length;
+            const hdr = card.querySelector('.hstack');
+            const toggle = el('button', 'ghost tag override-badge', `${active} adjusted · history`);
+            toggle.type = 'button';
+            toggle.title = `${grade.overrides.length} ${grade.overrides.length === 1 ? 'change' : 'changes'}${grade.score_original != null ? ` · automatic score ${fmtNum(grade.score_original)}` : ''}`;
+            const log = auditTrail(grade);
+            toggle.onclick = (e) => { e.preventDefault(); log.classList.toggle('hidden'); };
+            hdr?.append(toggle);
+            hdr?.after(log);
+        }
+        return card;
+    }
+
+    const _orig = renderStudentCard;
+    window.renderStudentCard = function (r, ctx) {
+        const card = _orig.apply(this, arguments);
+        return decorate(card, r, ctx || reportContext());
+    };
+
+    window.scoreOverrides = { apply: applyOverride, recompute };
+})();
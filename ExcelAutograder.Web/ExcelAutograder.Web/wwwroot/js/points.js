@@ -0,0 +1,240 @@
+/**
+ * Point Allocation Tools
+ * ----------------------
+ * Fills #pointsPanel with the current rule-points sum against the rubric
+ * total and offers two rebalancing tools:
+ *  - "Scale to total": scales every unlocked rule proportionally so the
+ *    rubric adds up to `rubric.points`.
+ *  - Section budgets: a target per section, split evenly or by the rules'
+ *    current points (weight) inside that section.
+ * Rules with `points_locked: true` keep their points and are subtracted from
+ * the budget first. Results are rounded to `rubric.meta.pointsStep` (0.25 by
+ * default) with largest-remainder rounding so totals still match exactly.
+ * Budgets are remembered in `rubric.meta.sectionBudgets`.
+ */
+(function () {
+    const panel = document.getElementById('pointsPanel');
+    if (!panel) return;
+
+    const DEFAULT_STEP = 0.25;
+    const NO_SECTION = '(No section)';
+
+    const fmt = n => String(+(+n || 0).toFixed(4));
+    const ptsOf = r => (Number.isFinite(+r.points) ? +r.points : 0);
+
+    /** Rounding step from the rubric (falls back to 0.25). */
+    function getStep() {
+        const s = +rubric.meta?.pointsStep;
+        return s > 0 ? s : DEFAULT_STEP;
+    }
+
+    /**
+     * All rules across all sheets.
+     * @returns {object[]}
+     */
+    function allRules() {
+        return Object.values(rubric.sheets || {}).flatMap(spec => spec.checks || []);
+    }
+
+    /**
+     * Splits `total` into parts proportional to `weights`, each a multiple of `step`.
+     * Uses largest-remainder rounding so the parts add up to `total` (rounded to the step).
+     * All-zero weights split evenly.
+     * @param {number} total
+     * @param {number[]} weights
+     * @param {number} step
+     * @returns {number[]}
+     */
+    function allocate(total, weights, step) {
+        if (!weights.length) return [];
+        const units = Math.round(total / step);
+        const sumW = weights.reduce((a, w) => a + Math.max(0, w), 0);
+        const w = sumW > 0 ? weights.map(x => Math.max(0, x)) : weights.map(() => 1);
+        const wSum = sumW > 0 ? sumW : w.length;
+
+        const raw = w.map(x => units * x / wSum);
+        const base = raw.map(Math.floor);
+        let left = units - base.reduce((a, b) => a + b, 0);
+        raw.map((x, i) => [x - base[i], i])
+            .sort((a, b) => (b[0] - a[0]) || (a[1] - b[1]))
+            .forEach(([, i]) => { if (left > 0) { base[i]++; left--; } });
+
+        return base.map(u => +(u * step).toFixed(6));
+    }
+
+    /**
+     * Rebalances `rules` so unlocked ones share `budget` minus the locked points.
+     * @param {object[]} rules
+     * @param {number} budget
+     * @param {'even'|'weight'} mode
+     * @returns {string|null} An error message, or null when applied.
+     */
+    function distribute(rules, budget, mode) {
+        const locked = rules.filter(r => r.points_locked);
+        const free = rules.filter(r => !r.points_locked);
+        const lockedSum = locked.reduce((a, r) => a + ptsOf(r), 0);
+        const room = budget - lockedSum;
+        if (!free.length) return 'every rule is locked';
+        if (room < 0) return `locked rules already use ${fmt(lockedSum)} of ${fmt(budget)}`;
+
+        const parts = allocate(room, free.map(r => mode === 'even' ? 1 : ptsOf(r)), getStep());
+        free.forEach((r, i) => { r.points = parts[i]; });
+        return null;
+    }
+
+    /**
+     * Groups rules by section name across all sheets (same key as the compact list).
+     * @returns {Map<string, object[]>}
+     */
+    function rulesBySection() {
+        const map = new Map();
+        for (const r of allRules()) {
+            const sec = r.section || NO_SECTION;
+            if (!map.has(sec)) map.set(sec, []);
+            map.get(sec).push(r);
+        }
+        return map;
+    }
+
+    // --- Actions ----------------------------------------------------------------
+
+    function scaleToTotal() {
+        collectRubric();
+        const target = +rubric.points || 0;
+        if (!(target > 0)) return alert('Set Total Points first.');
+        const rules = allRules();
+        if (!rules.length) return alert('There are no rules to scale.');
+
+        noteEdit(`Scaled rule points to ${fmt(target)}`);
+        const err = distribute(rules, target, 'weight');
+        if (err) return alert(`Could not scale: ${err}.`);
+        render();
+    }
+
+    function applyBudgets() {
+        const budgets = rubric.meta?.sectionBudgets || {};
+        const mode = document.getElementById('pointsSplitMode')?.value === 'even' ? 'even' : 'weight';
+        const groups = rulesBySection();
+        const todo = [...groups.keys()].filter(sec => Number.isFinite(budgets[sec]));
+        if (!todo.length) return alert('Enter a budget for at least one section.');
+
+        noteEdit(`Applied section point budgets (${mode === 'even' ? 'even split' : 'by weight'})`);
+        const problems = [];
+        for (const sec of todo) {
+            const err = distribute(groups.get(sec), budgets[sec], mode);
+            if (err) problems.push(`${sec}: ${err}`);
+        }
+        render();
+        if (problems.length) alert('Some sections were left unchanged:\n' + problems.join('\n'));
+    }
+
+    function setStep(value) {
+        const v = +value;
+        if (!(v > 0)) { refreshPanel(); return; }
+        noteEdit(`Set points rounding step to ${fmt(v)}`);
+        rubric.meta = rubric.meta || {};
+        rubric.meta.pointsStep = v;
+        render();
+    }
+
+    function setBudget(sec, value) {
+        rubric.meta = rubric.meta || {};
+        const budgets = rubric.meta.sectionBudgets = rubric.meta.sectionBudgets || {};
+        noteEdit(`Set budget for section '${sec}'`);
+        if (value === '' || !Number.isFinite(+value)) delete budgets[sec];
+        else budgets[sec] = +value;
+        if (!Object.keys(budgets).length) delete rubric.meta.sectionBudgets;
+        refreshJsonPreview();
+    }
+
+    // --- UI ---------------------------------------------------------------------
+
+    let sectionsKey = null;
+
+    /** Updates the sum line and (re)builds the per-section budget rows. */
+    function refreshPanel() {
+        const rules = allRules();
+        const sum = rules.reduce((a, r) => a + ptsOf(r), 0);
+        const lockedSum = rules.filter(r => r.points_locked).reduce((a, r) => a + ptsOf(r), 0);
+        const target = +rubric.points || 0;
+        const diff = sum - target;
+
+        const summary = document.getElementById('pointsSummary');
+        if (summary) {
+            const state = Math.abs(diff) < 1e-6 ? 'v-ok' : 'v-warning';
+            const delta = Math.abs(diff) < 1e-6 ? '' : ` (${diff > 0 ? '+' : ''}${fmt(diff)})`;
+            summary.innerHTML = `<strong class="${state}">Rules: ${fmt(sum)} / ${fmt(target)}${delta}</strong>`
+                + (lockedSum ? ` <span class="tiny muted">🔒 ${fmt(lockedSum)} locked</span>` : '');
+        }
+
+        const stepInput = document.getElementById('pointsStep');
+        if (stepInput && document.activeElement !== stepInput) stepInput.value = getStep();
+
+        const host = document.getElementById('pointsSections');
+        if (!host) return;
+        const groups = rulesBySection();
+        const budgets = rubric.meta?.sectionBudgets || {};
+        const key = JSON.stringify([...groups.keys()]);
+
+        if (key !== sectionsKey) {
+            sectionsKey = key;
+            host.innerHTML = '';
+            for (const sec of groups.keys()) {
+                const row = el('div', 'points-row');
+                row.dataset.section = sec;
+                const input = el('input');
+                input.type = 'number'; input.min = '0'; input.step = 'any'; input.placeholder = 'Budget';
+                input.onchange = () => setBudget(sec, input.value.trim());
+                row.append(el('div', 'name', esc(sec)), el('div', 'tiny muted info'), el('div', 'mono current'), input);
+                host.append(row);
+            }
+        }
+
+        let budgetSum = 0, anyBudget = false;
+        for (const row of host.querySelectorAll('.points-row')) {
+            const sec = row.dataset.section;
+            const list = groups.get(sec) || [];
+            const locked = list.filter(r => r.points_locked).length;
+            row.querySelector('.info').textContent = `${list.length} ${list.length === 1 ? 'rule' : 'rules'}${locked ? `, ${locked} locked` : ''}`;
+            row.querySelector('.current').textContent = fmt(list.reduce((a, r) => a + ptsOf(r), 0));
+            const input = row.querySelector('input');
+            const b = budgets[sec];
+            if (document.activeElement !== input) input.value = Number.isFinite(b) ? b : '';
+            if (Number.isFinite(b)) { budgetSum += b; anyBudget = true; }
+        }
+
+        const total = document.getElementById('pointsBudgetTotal');
+        if (total) {
+            total.textContent = anyBudget ? `Budgets: ${fmt(budgetSum)} / ${fmt(target)}` : '';
+            total.className = anyBudget && Math.abs(budgetSum - target) > 1e-6 ? 'tiny v-warning' : 'tiny muted';
+        }
+    }
+
+    // --- Hooks ------------------------------------------------------------------
+
+    if (typeof render === 'function') {
+        const _orig = render;
+        window.render = function () {
+            const result = _orig.apply(this, arguments);
+            refreshPanel();
+            return result;
+        };
+    }
+
+    if (typeof refreshJsonPreview === 'function') {
+        const _orig = refreshJsonPreview;
+        window.refreshJsonPreview = function () {
+            const result = _orig.apply(this, arguments);
+            refreshPanel();
+            return result;
+        };
+    }
+
+    document.getElementById('btnPointsScale')?.addEventListener('click', e => { e.preventDefault(); scaleToTotal(); });
+    document.getElementById('btnPointsApplyBudgets')?.addEventListener('click', e => { e.preventDefault(); applyBudgets(); });
+    document.getElementById('pointsStep')?.addEventListener('change', e => setStep(e.target.value));
+
+    window.pointAllocation = { allocate, scaleToTotal, applyBudgets, refresh: refreshPanel };
+
+    refreshPanel();
+})();
@@ -0,0 +1,270 @@
+/**
+ * Range Grid Picker
+ * -----------------
+ * Read-only grid preview of a key-workbook sheet for the "Build by Sections &
+ * Ranges" rows. The "Grid" button on an a1Row (ranges-builder.js) opens the
+ * grid under that row's group, loaded from POST /api/key/cells. Dragging across
+ * cells appends the A1 range to the row's `.sectionRanges` input, and every
+ * row's ranges in the group are overlaid in its own color so gaps (filled cells
+ * nobody claims) and overlaps (cells claimed twice) are easy to spot.
+ */
+(function () {
+    const PALETTE_SIZE = 8; // .ov-0 … .ov-7 in styles.css
+    const cache = new Map(); // "<file>|<sheet>" -> Promise<cells payload>
+
+    let state = null; // { row, scope, host, sheet, data, anchor, rect }
+
+    const keyFile = () => document.getElementById('keyFile')?.files?.[0] || document.getElementById('key')?.files?.[0];
+
+    /**
+     * Loads (and caches per key file + sheet) the grid payload.
+     * @param {File} file
+     * @param {string} sheet
+     * @returns {Promise<{sheet:string, rows:number, cols:number, lastRow:number, lastCol:number, truncated:boolean, cells:Array<{r:number,c:number,v:string,f:(string|null)}>}>}
+     */
+    function fetchCells(file, sheet) {
+        const key = `${file.name}|${file.size}|${file.lastModified}|${sheet}`;
+        if (!cache.has(key)) {
+            const fd = new FormData();
+            fd.append('key', file);
+            fd.append('sheet', sheet);
+            const p = fetch('/api/key/cells', { method: 'POST', body: fd }).then(async res => {
+                if (!res.ok) {
+                    const err = await res.json().catch(() => ({}));
+                    throw new Error(err.error || `HTTP ${res.status}`);
+                }
+                return res.json();
+            });
+            p.catch(() => cache.delete(key)); // allow a retry after failures
+            cache.set(key, p);
+        }
+        return cache.get(key);
+    }
+
+    /**
+     * Sheet chosen for the row's group (multi-sheet card or legacy single-sheet picker).
+     * @param {HTMLElement} row
+     * @returns {string}
+     */
+    function sheetFor(row) {
+        const sel = row.closest('.card')?.querySelector('.sheetSel') || document.getElementById('rangeSheet');
+        return (sel?.value || '').trim();
+    }
+
+    /**
+     * Parsed ranges per a1Row in the scope, in row order.
+     * @param {HTMLElement} scope - Container holding the group's a1Rows.
+     * @returns {Array<{row:HTMLElement, name:string, ranges:object[]}>}
+     */
+    function assignments(scope, sheet) {
+        const same = s => s.toLowerCase() === sheet.toLowerCase(); // Excel sheet names are case-insensitive
+        return [...scope.querySelectorAll('.sectionRanges')].map(input => {
+            const row = input.parentElement;
+            const ranges = (input.value || '').split(',').map(s => s.trim()).filter(Boolean)
+                .flatMap(t => {
+                    const p = A1.parseRange(t);
+                    if (p) return [p];
+                    const named = window.rangesBuilder?.resolveName(t, sheet); // defined name / table
+                    return named && same(named.sheet) ? named.address.split(',').map(a => A1.parseRange(a)) : [];
+                })
+                .filter(p => p && (!p.sheet || same(p.sheet)));
+            const name = (row.querySelector('.sectionName')?.value || '').trim() || 'Section';
+            return { row, name, ranges };
+        });
+    }
+
+    // --- Rendering --------------------------------------------------------------
+
+    function renderGrid() {
+        const { host, data, sheet } = state;
+        host.innerHTML = '';
+
+        const head = el('div', 'hstack range-grid-head');
+        const target = (state.row.querySelector('.sectionName')?.value || '').trim() || 'this row';
+        const extent = data.rows && data.cols ? `A1:${A1.numToCol(data.cols)}${data.rows}` : 'empty';
+        head.append(
+            el('strong', '', esc(sheet)),
+            el('span', 'tiny muted', `${extent}${data.truncated ? ` (of ${A1.numToCol(data.lastCol)}${data.lastRow}, truncated)` : ''}`),
+            el('span', 'tiny muted', `Drag to add a range to <b>${esc(target)}</b>`)
+        );
+        const close = el('button', 'ghost right', '✕'); close.type = 'button'; close.title = 'Close grid';
+        close.onclick = closeGrid;
+        head.append(close);
+        host.append(head);
+
+        const legend = el('div', 'hstack range-grid-legend');
+        host.append(legend);
+
+        if (!data.rows || !data.cols) { host.append(el('div', 'tiny muted', 'This sheet has no used cells.')); return; }
+
+        const byPos = new Map(data.cells.map(c => [`${c.r},${c.c}`, c]));
+        const table = el('table', 'grid-table');
+        const thead = el('tr');
+        thead.append(el('th'));
+        for (let c = 1; c <= data.cols; c++) thead.append(el('th', '', A1.numToCol(c)));
+        table.append(thead);
+        for (let r = 1; r <= data.rows; r++) {
+            const tr = el('tr');
+            tr.append(el('th', '', String(r)));
+            for (let c = 1; c <= data.cols; c++) {
+                const cell = byPos.get(`${r},${c}`);
+                const td = el('td', cell ? 'has-value' : '');
+                td.dataset.r = r; td.dataset.c = c;
+                if (cell) {
+                    td.textContent = cell.v ?? '';
+                    td.title = `${A1.numToCol(c)}${r}${cell.f ? `  ${cell.f}` : ''}${cell.v ? `  → ${cell.v}` : ''}`;
+                    if (cell.f) td.classList.add('has-formula');
+                }
+                tr.append(td);
+            }
+            table.append(tr);
+        }
+        const wrap = el('div', 'range-grid-scroll');
+        wrap.append(table);
+        host.append(wrap);
+        state.table = table;
+
+        table.addEventListener('mousedown', (e) => {
+            const td = e.target.closest('td');
+            if (!td || e.button !== 0) return;
+            e.preventDefault();
+            state.anchor = { r: +td.dataset.r, c: +td.dataset.c };
+            markSelection(state.anchor, state.anchor);
+        });
+        table.addEventListener('mouseover', (e) => {
+            const td = e.target.closest('td');
+            if (!td || !state?.anchor) return;
+            markSelection(state.anchor, { r: +td.dataset.r, c: +td.dataset.c });
+        });
+
+        paintOverlay();
+    }
+
+    /** Highlights the rectangle being dragged. */
+    function markSelection(a, b) {
+        const r1 = Math.min(a.r, b.r), r2 = Math.max(a.r, b.r), c1 = Math.min(a.c, b.c), c2 = Math.max(a.c, b.c);
+        state.rect = { r1, r2, c1, c2 };
+        state.table.querySelectorAll('td.sel').forEach(td => td.classList.remove('sel'));
+        for (let r = r1; r <= r2; r++)
+            for (let c = c1; c <= c2; c++)
+                state.table.rows[r]?.cells[c]?.classList.add('sel');
+    }
+
+    /** Appends the dragged rectangle to the target row's ranges. */
+    function commitSelection() {
+        if (!state?.anchor || !state.rect) return;
+        const { r1, r2, c1, c2 } = state.rect;
+        state.anchor = null; state.rect = null;
+        state.table.querySelectorAll('td.sel').forEach(td => td.classList.remove('sel'));
+
+        const a1 = (r1 === r2 && c1 === c2) ? `${A1.numToCol(c1)}${r1}` : `${A1.numToCol(c1)}${r1}:${A1.numToCol(c2)}${r2}`;
+        const input = state.row.querySelector('.sectionRanges');
+        if (!input) return;
+        const current = input.value.trim().replace(/,\s*$/, '');
+        input.value = current ? `${current}, ${a1}` : a1;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /** Colors cells by the row(s) whose ranges cover them and rebuilds the legend. */
+    function paintOverlay() {
+        if (!state?.table) return;
+        if (!state.row.isConnected) return closeGrid();
+        const { table, data, scope, sheet } = state;
+        const owners = new Map(); // "r,c" -> [row index]
+        const list = assignments(scope, sheet);
+        list.forEach((a, i) => a.ranges.forEach(p => {
+            for (let r = p.r1; r <= Math.min(p.r2, data.rows); r++)
+                for (let c = p.c1; c <= Math.min(p.c2, data.cols); c++) {
+                    const k = `${r},${c}`;
+                    if (!owners.has(k)) owners.set(k, []);
+                    if (!owners.get(k).includes(i)) owners.get(k).push(i);
+                }
+        }));
+
+        const targetIdx = list.findIndex(a => a.row === state.row);
+        let overlaps = 0, gaps = 0;
+        for (const td of table.querySelectorAll('td')) {
+            td.className = td.className.replace(/\bov-\S+/g, '').trim();
+            const own = owners.get(`${td.dataset.r},${td.dataset.c}`);
+            if (!own) { if (td.classList.contains('has-value')) { td.classList.add('ov-gap'); gaps++; } continue; }
+            if (own.length > 1) { td.classList.add('ov-overlap'); overlaps++; }
+            else td.classList.add(`ov-${own[0] % PALETTE_SIZE}`);
+            if (own.includes(targetIdx)) td.classList.add('ov-target');
+        }
+
+        const legend = state.host.querySelector('.range-grid-legend');
+        if (legend) {
+            legend.innerHTML = '';
+            list.forEach((a, i) => legend.append(el('span', `grid-chip ov-${i % PALETTE_SIZE}`, esc(a.name))));
+            if (overlaps) legend.append(el('span', 'grid-chip ov-overlap', `${overlaps} overlapping`));
+            if (gaps) legend.append(el('span', 'grid-chip ov-gap', `${gaps} filled ${gaps === 1 ? 'cell' : 'cells'} unassigned`));
+        }
+    }
+
+    // --- Open / close -------------------------------------------------------------
+
+    function closeGrid() {
+        if (!state) return;
+        state.row.classList.remove('grid-target');
+        state.host.remove();
+        state = null;
+    }
+
+    /**
+     * Opens (or toggles off) the grid for an a1Row.
+     * @param {HTMLElement} row - The a1Row whose `.sectionRanges` receives picks.
+     */
+    async function openGrid(row) {
+        if (state?.row === row) return closeGrid();
+        const file = keyFile();
+        if (!file) return alert('Choose a key workbook first.');
+        const sheet = sheetFor(row);
+        if (!sheet) return alert('Pick a sheet first.');
+
+        const scope = row.parentElement;
+        let host = state?.scope === scope ? state.host : null;
+        if (!host) { closeGrid(); host = el('div', 'range-grid stack'); scope.after(host); }
+        else state.row.classList.remove('grid-target');
+
+        row.classList.add('grid-target');
+        state = { row, scope, host, sheet, data: null, anchor: null, rect: null };
+        host.innerHTML = '<div class="tiny muted">Loading sheet preview…</div>';
+
+        try {
+            const data = await fetchCells(file, sheet);
+            if (state?.row !== row) return; // closed or switched while loading
+            state.data = data;
+            renderGrid();
+        } catch (e) {
+            if (state?.row === row) host.innerHTML = `<div class="tiny v-error">Could not load '${esc(sheet)}': ${esc(e.message)}</div>`;
+        }
+    }
+
+    document.addEventListener('mouseup', commitSelection);
+
+    // keep the overlay current while ranges are typed; reload when the sheet changes
+    document.addEventListener('input', (e) => {
+        if (state && e.target.matches?.('.sectionRanges, .sectionName') && state.scope.contains(e.target)) paintOverlay();
+    });
+    document.addEventListener('change', (e) => {
+        if (!state || !e.target.matches?.('.sheetSel, #rangeSheet')) return;
+        const row = state.row;
+        if (sheetFor(row) !== state.sheet) { closeGrid(); openGrid(row); }
+    });
+    document.getElementById('keyFile')?.addEventListener('change', () => { cache.clear(); closeGrid(); });
+
+    /**
+     * Last used row/column of a key sheet (shares the grid's cache).
+     * @param {string} sheet
+     * @returns {Promise<{lastRow:number, lastCol:number}|null>} null when no key workbook is chosen.
+     */
+    async function usedArea(sheet) {
+        const file = keyFile();
+        if (!file) return null;
+        const data = await fetchCells(file, sheet);
+        return { lastRow: data.lastRow, lastCol: data.lastCol };
+    }
+
+    window.rangeGrid = { open: openGrid, close: closeGrid, refresh: () => paintOverlay(), usedArea };
+})();
@@ -0,0 +1,210 @@
+/**
+ * Section / Range Layouts
+ * -----------------------
+ * Named copies of the "Build by Sections & Ranges" groups, so the same
+ * workbook layout can be reused across assignment versions. A layout is the
+ * `sections_json` payload sent to /api/rubric/from-ranges:
+ *
+ *   { "Sheet1": [ { "section": "Totals", "ranges": ["B2:B10", "E8:E18"] } ] }
+ *
+ * Layouts live in localStorage under `rangeLayouts`, can be exported /
+ * imported as JSON, and can be derived from the builder's rubric by collecting
+ * each section's `cell` / `range` values per sheet. Picking one in
+ * #rangeLayoutPicker rebuilds the groups through `window.rangesBuilder`.
+ */
+(function () {
+    const STORE_KEY = 'rangeLayouts';
+    const picker = document.getElementById('rangeLayoutPicker');
+    if (!picker) return;
+
+    // --- Storage ----------------------------------------------------------------
+
+    const isLayout = l => l && typeof l.name === 'string' && l.name.trim() && l.sections && typeof l.sections === 'object' && !Array.isArray(l.sections);
+
+    /**
+     * @returns {Array<{name:string, sections:Object<string,Array<{section:string, ranges:string[]}>>}>}
+     */
+    function loadLayouts() {
+        try {
+            const list = JSON.parse(localStorage.getItem(STORE_KEY) || '[]');
+            return Array.isArray(list) ? list.filter(isLayout) : [];
+        } catch (e) { console.warn('Could not read range layouts', e); return []; }
+    }
+
+    function saveLayouts(list) {
+        try { localStorage.setItem(STORE_KEY, JSON.stringify(list)); }
+        catch (e) { alert('Could not store layouts: ' + e.message); }
+        refreshPicker();
+    }
+
+    /**
+     * Adds or replaces (after confirming) a layout by name.
+     * @returns {boolean} false when the user declined to replace.
+     */
+    function putLayout(layout) {
+        const list = loadLayouts();
+        const at = list.findIndex(l => l.name === layout.name);
+        if (at >= 0 && !confirm(`Layout '${layout.name}' exists. Replace it?`)) return false;
+        if (at >= 0) list[at] = layout; else list.push(layout);
+        saveLayouts(list);
+        picker.value = layout.name;
+        return true;
+    }
+
+    // --- Deriving from a rubric ---------------------------------------------------
+
+    /**
+     * Merges single cells into vertical runs, then runs with the same rows in
+     * adjacent columns into rectangles ("B2, B3, C2, C3" → "B2:C3").
+     * @param {Array<{c1:number,r1:number,c2:number,r2:number}>} cells - Parsed single cells.
+     * @returns {string[]}
+     */
+    function compactCells(cells) {
+        const byCol = new Map();
+        for (const c of cells) {
+            if (!byCol.has(c.c1)) byCol.set(c.c1, new Set());
+            byCol.get(c.c1).add(c.r1);
+        }
+        const runs = []; // { c, r1, r2 }
+        for (const [c, rowsSet] of [...byCol].sort((a, b) => a[0] - b[0])) {
+            const rows = [...rowsSet].sort((a, b) => a - b);
+            let start = rows[0], prev = rows[0];
+            for (const r of rows.slice(1).concat(null)) {
+                if (r === prev + 1) { prev = r; continue; }
+                runs.push({ c, r1: start, r2: prev });
+                start = prev = r;
+            }
+        }
+        const rects = [];
+        for (const run of runs) {
+            const open = rects.find(x => x.c2 === run.c - 1 && x.r1 === run.r1 && x.r2 === run.r2);
+            if (open) open.c2 = run.c;
+            else rects.push({ c1: run.c, c2: run.c, r1: run.r1, r2: run.r2 });
+        }
+        return rects.map(x => {
+            const tl = A1.numToCol(x.c1) + x.r1, br = A1.numToCol(x.c2) + x.r2;
+            return tl === br ? tl : `${tl}:${br}`;
+        });
+    }
+
+    /**
+     * Collects each section's cell / range references per sheet.
+     * Rules without a section go to "Section" (the server's default name).
+     * @param {object} rub
+     * @returns {Object<string,Array<{section:string, ranges:string[]}>>}
+     */
+    function layoutFromRubric(rub) {
+        const out = {};
+        for (const [sheet, spec] of Object.entries(rub?.sheets || {})) {
+            const sections = new Map(); // name -> { cells:[], ranges:Set }
+            for (const r of spec.checks || []) {
+                const ref = (r.range || r.cell || '').toString().trim();
+                const p = ref && A1.parseRange(ref);
+                if (!p || (p.sheet && p.sheet.toLowerCase() !== sheet.toLowerCase())) continue;
+                const name = (r.section || '').trim() || 'Section';
+                if (!sections.has(name)) sections.set(name, { cells: [], ranges: new Set() });
+                const s = sections.get(name);
+                if (p.cells === 1) s.cells.push(p); else s.ranges.add(p.normalized);
+            }
+            const list = [...sections].map(([section, s]) => ({ section, ranges: [...s.ranges, ...compactCells(s.cells)] }));
+            if (list.length) out[sheet] = list;
+        }
+        return out;
+    }
+
+    // --- Actions ----------------------------------------------------------------
+
+    function saveCurrent() {
+        const sections = window.rangesBuilder?.collect() || {};
+        if (!Object.keys(sections).length) return alert('Add at least one sheet with section ranges first.');
+        const name = (prompt('Layout name:', picker.value || '') || '').trim();
+        if (name) putLayout({ name, sections });
+    }
+
+    function saveFromRubric() {
+        const sections = layoutFromRubric(rubric);
+        if (!Object.keys(sections).length) return alert('The rubric has no rules with cells or ranges.');
+        const name = (prompt('Layout name (from the current rubric):', rubric?.meta?.name || '') || '').trim();
+        if (!name || !putLayout({ name, sections })) return;
+        if (!window.rangesBuilder?.hasGroups() || confirm('Replace the current sheets with this layout?')) applyLayout(name);
+    }
+
+    /** Rebuilds the sheet groups from a stored layout. */
+    async function applyLayout(name) {
+        const layout = loadLayouts().find(l => l.name === name);
+        if (!layout || !window.rangesBuilder) return;
+        await window.rangesBuilder.load(layout.sections);
+    }
+
+    function deleteLayout(name) {
+        if (!name || !confirm(`Delete layout '${name}'?`)) return;
+        saveLayouts(loadLayouts().filter(l => l.name !== name));
+    }
+
+    function exportLayouts() {
+        const list = loadLayouts();
+        const one = list.find(l => l.name === picker.value);
+        const payload = one ? { layouts: [one] } : { layouts: list };
+        const file = one ? `layout-${one.name.replace(/[^\w.-]+/g, '_')}.json` : 'range-layouts.json';
+        download(file, JSON.stringify(payload, null, 2));
+    }
+
+    /**
+     * Imports `{ layouts:[...] }`, a single `{ name, sections }`, or a bare
+     * sections_json object (named after the file). Same names are replaced.
+     * @param {File} file
+     */
+    async function importLayouts(file) {
+        try {
+            const json = JSON.parse(await file.text());
+            let incoming;
+            if (Array.isArray(json?.layouts)) incoming = json.layouts;
+            else if (isLayout(json)) incoming = [json];
+            else if (json && typeof json === 'object' && Object.values(json).every(Array.isArray))
+                incoming = [{ name: file.name.replace(/\.json$/i, ''), sections: json }];
+            else incoming = [];
+            incoming = incoming.filter(isLayout);
+            if (!incoming.length) return alert('No layouts found in that file.');
+            saveLayouts(loadLayouts().filter(l => !incoming.some(n => n.name === l.name)).concat(incoming));
+            picker.value = incoming[0].name;
+            alert(`Imported ${incoming.length} ${incoming.length === 1 ? 'layout' : 'layouts'}.`);
+        } catch (e) { alert('Could not import layouts: ' + e.message); }
+    }
+
+    // --- UI ---------------------------------------------------------------------
+
+    function refreshPicker() {
+        const keep = picker.value;
+        const all = loadLayouts();
+        picker.innerHTML = '';
+        picker.append(new Option(all.length ? 'Layouts…' : '(no saved layouts)', '', true, false));
+        all.forEach(l => {
+            const sheets = Object.keys(l.sections).length;
+            picker.append(new Option(`${l.name} (${sheets} ${sheets === 1 ? 'sheet' : 'sheets'})`, l.name));
+        });
+        if (all.some(l => l.name === keep)) picker.value = keep;
+    }
+
+    picker.addEventListener('change', () => {
+        const name = picker.value;
+        if (!name) return;
+        if (window.rangesBuilder?.hasGroups() && !confirm(`Replace the current sheets with layout '${name}'?`)) return;
+        applyLayout(name);
+    });
+
+    const fileInput = document.getElementById('layoutImportFile');
+    document.getElementById('btnLayoutSave')?.addEventListener('click', e => { e.preventDefault(); saveCurrent(); });
+    document.getElementById('btnLayoutFromRubric')?.addEventListener('click', e => { e.preventDefault(); saveFromRubric(); });
+    document.getElementById('btnLayoutDelete')?.addEventListener('click', e => { e.preventDefault(); deleteLayout(picker.value); });
+    document.getElementById('btnLayoutExport')?.addEventListener('click', e => { e.preventDefault(); exportLayouts(); });
+    document.getElementById('btnLayoutImport')?.addEventListener('click', e => { e.preventDefault(); fileInput?.click(); });
+    fileInput?.addEventListener('change', async () => {
+        const f = fileInput.files?.[0];
+        fileInput.value = '';
+        if (f) await importLayouts(f);
+    });
+
+    window.rangeLayouts = { list: loadLayouts, fromRubric: layoutFromRubric, apply: applyLayout };
+
+    refreshPicker();
+})();
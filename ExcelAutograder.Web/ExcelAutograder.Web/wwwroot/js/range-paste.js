@@ -0,0 +1,188 @@
+/**
+ * Paste Section Table
+ * -------------------
+ * "Paste table…" dialog for the ranges builder. Accepts rows copied from
+ * Excel (tab-separated) or CSV with the columns Sheet, Section, Ranges and an
+ * optional Points (points or "30%"). A header row is recognised by its
+ * column names and may list them in any order; without one the columns are
+ * read in that order.
+ *
+ * The preview shows every row with its problems (unknown sheet, invalid
+ * ranges or weight). "Add rows" puts the valid ones into #rangeGroups via
+ * `rangesBuilder.merge()`, reusing the existing group of each sheet.
+ */
+(function () {
+    const dialog = document.getElementById('pasteDialog');
+    const textBox = document.getElementById('pasteText');
+    const preview = document.getElementById('pastePreview');
+    const summary = document.getElementById('pasteSummary');
+    const btnApply = document.getElementById('btnPasteApply');
+    if (!dialog || !textBox) return;
+
+    const COLUMNS = { sheet: ['sheet', 'worksheet', 'tab'], section: ['section', 'name'], ranges: ['ranges', 'range', 'cells', 'address'], points: ['points', 'pts', 'weight'] };
+
+    let rows = [];        // last parsed rows
+    let keySheets = [];   // sheet names of the key ([] when unknown)
+    let timer = null;
+
+    /**
+     * Splits delimited text into rows of cells. Quoted cells may contain the
+     * delimiter, newlines and doubled quotes ("" → ").
+     * @param {string} text
+     * @param {string} delim
+     * @returns {string[][]}
+     */
+    function splitDelimited(text, delim) {
+        const out = [];
+        let row = [], cell = '', quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"' && cell.trim() === '') { quoted = true; cell = ''; }
+            else if (ch === delim) { row.push(cell); cell = ''; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell); out.push(row); row = []; cell = '';
+            }
+            else cell += ch;
+        }
+        if (cell !== '' || row.length) { row.push(cell); out.push(row); }
+        return out.map(r => r.map(c => c.trim())).filter(r => r.some(Boolean));
+    }
+
+    /**
+     * Parses the pasted text into section rows (tab-separated when any line
+     * has a tab, otherwise CSV; ";" is used when it appears and "," does not).
+     * @param {string} text
+     * @returns {Array<{line:number, sheet:string, section:string, ranges:string, points:string}>}
+     */
+    function parseTable(text) {
+        const first = (text || '').split(/\r?\n/).find(l => l.trim()) || '';
+        const delim = /\t/.test(text) ? '\t' : (first.includes(';') && !first.includes(',') ? ';' : ',');
+        const table = splitDelimited(text || '', delim);
+        if (!table.length) return [];
+
+        let map = { sheet: 0, section: 1, ranges: 2, points: 3 };
+        let start = 0;
+        const head = table[0].map(c => c.toLowerCase());
+        const found = {};
+        for (const [key, aliases] of Object.entries(COLUMNS)) {
+            const at = head.findIndex(h => aliases.includes(h));
+            if (at >= 0) found[key] = at;
+        }
+        if (found.sheet != null && found.ranges != null) { map = { points: -1, section: -1, ...found }; start = 1; }
+
+        // CSV without quotes splits "A2:B20, E8:E18" into extra cells: every cell from Ranges on
+        // folds back into it, except a trailing weight when Points comes after Ranges
+        const foldExtra = delim !== '\t' && !Object.entries(map).some(([k, at]) => k !== 'ranges' && k !== 'points' && at > map.ranges);
+        const pointsLast = map.points > map.ranges;
+        return table.slice(start).map((cells, i) => {
+            let ranges = cells[map.ranges] ?? '';
+            let points = map.points >= 0 ? (cells[map.points] ?? '') : '';
+            if (foldExtra) {
+                const tail = cells.slice(map.ranges);
+                const last = tail[tail.length - 1];
+                const hasPoints = pointsLast && tail.length > 1 && /^\d+(\.\d+)?\s*%?$/.test(last);
+                ranges = (hasPoints ? tail.slice(0, -1) : tail).filter(Boolean).join(', ');
+                if (pointsLast) points = hasPoints ? last : '';
+            }
+            return {
+                line: i + start + 1,
+                sheet: cells[map.sheet] ?? '',
+                section: map.section >= 0 ? (cells[map.section] ?? '') : '',
+                ranges,
+                points
+            };
+        });
+    }
+
+    /**
+     * Checks one row against the key's sheets, the A1 / name parser and the weight parser.
+     * @returns {string[]} problems (empty when the row can be added)
+     */
+    function rowErrors(r) {
+        const errs = [];
+        const rb = window.rangesBuilder;
+        if (!r.sheet) errs.push('missing sheet');
+        else if (keySheets.length && !keySheets.some(s => s.toLowerCase() === r.sheet.toLowerCase())) errs.push(`sheet '${r.sheet}' is not in the key`);
+        if (!r.ranges) errs.push('missing ranges');
+        else if (rb) rb.parseRanges(r.ranges, r.sheet).filter(t => t.error).forEach(t => errs.push(t.error));
+        const w = rb?.parseWeight(r.points);
+        if (w?.error) errs.push(w.error);
+        return errs;
+    }
+
+    /** Re-parses the text and redraws the preview. */
+    function refresh() {
+        timer = null;
+        rows = parseTable(textBox.value).map(r => ({ ...r, errors: rowErrors(r) }));
+        preview.innerHTML = '';
+        if (rows.length) {
+            const table = el('table', 'paste-table');
+            const head = el('tr');
+            ['Line', 'Sheet', 'Section', 'Ranges', 'Points', ''].forEach(h => head.append(el('th', '', h)));
+            table.append(head);
+            for (const r of rows) {
+                const tr = el('tr', r.errors.length ? 'paste-error' : '');
+                tr.append(
+                    el('td', 'muted', String(r.line)),
+                    el('td', '', esc(r.sheet)),
+                    el('td', '', esc(r.section || 'Section')),
+                    el('td', '', esc(r.ranges)),
+                    el('td', '', esc(r.points)),
+                    el('td', r.errors.length ? 'v-error' : 'v-ok', r.errors.length ? `✖ ${esc(r.errors.join('; '))}` : '✔')
+                );
+                table.append(tr);
+            }
+            preview.append(table);
+        }
+
+        const good = rows.filter(r => !r.errors.length).length;
+        const bad = rows.length - good;
+        if (summary) summary.textContent = rows.length
+            ? `${good} ${good === 1 ? 'row' : 'rows'} ready${bad ? ` · ${bad} with errors will be skipped` : ''}`
+            : 'Paste rows with Sheet, Section, Ranges and (optional) Points.';
+        btnApply.disabled = !good;
+        btnApply.textContent = good ? `Add ${good} ${good === 1 ? 'row' : 'rows'}` : 'Add rows';
+    }
+
+    async function open() {
+        keySheets = (await window.rangesBuilder?.sheets()) || [];
+        dialog.classList.remove('hidden');
+        refresh();
+        textBox.focus();
+    }
+
+    function close() { dialog.classList.add('hidden'); }
+
+    async function apply() {
+        if (timer) { clearTimeout(timer); refresh(); }
+        const bySheet = {};
+        for (const r of rows) {
+            if (r.errors.length) continue;
+            const sheet = keySheets.find(s => s.toLowerCase() === r.sheet.toLowerCase()) || r.sheet;
+            (bySheet[sheet] = bySheet[sheet] || []).push({
+                section: r.section || 'Section',
+                ranges: [...new Set(window.rangesBuilder.parseRanges(r.ranges, sheet).map(t => t.via || t.range.normalized))],
+                points: r.points
+            });
+        }
+        if (!Object.keys(bySheet).length) return;
+        await window.rangesBuilder?.merge(bySheet);
+        textBox.value = '';
+        close();
+    }
+
+    textBox.addEventListener('input', () => {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(refresh, 200);
+    });
+    document.getElementById('btnPasteTable')?.addEventListener('click', e => { e.preventDefault(); open(); });
+    document.getElementById('btnPasteCancel')?.addEventListener('click', e => { e.preventDefault(); close(); });
+    btnApply?.addEventListener('click', e => { e.preventDefault(); apply(); });
+
+    window.rangePaste = { parse: parseTable, open };
+})();
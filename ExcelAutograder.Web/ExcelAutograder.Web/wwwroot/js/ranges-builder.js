@@ -10,6 +10,7 @@ window.addEventListener('DOMContentLoaded', function () {
     const includeArtifacts = document.getElementById('includeArtifacts');
     const rangeTotalPoints = document.getElementById('rangeTotalPoints');
     const btnBuildFromRanges = document.getElementById('btnBuildFromRanges');
+    const buildMode = document.getElementById('rangeBuildMode');
 
     // Single-sheet panel elements (legacy)
     const rangeSheet = document.getElementById('rangeSheet');
@@ -48,30 +49,147 @@ window.addEventListener('DOMContentLoaded', function () {
         }
     }
 
+    // Defined names and tables of the key: { names:[{name, scope, sheet, address}],
+    // tables:[{name, sheet, address, data, columns:[{name, address}]}] }
+    let definedNames = null;
+
+    /**
+     * Fetches the key workbook's defined names and tables and refreshes every row's picker.
+     *
+     * REQUEST: POST /api/key/names with form-data key=<File>
+     * Gracefully leaves the list empty on any error.
+     */
+    async function loadDefinedNames() {
+        definedNames = { names: [], tables: [] };
+        try {
+            const file = keyInput?.files?.[0];
+            if (file) {
+                const fd = new FormData();
+                fd.append('key', file);
+                const resp = await fetch('/api/key/names', { method: 'POST', body: fd });
+                if (resp.ok) definedNames = await resp.json();
+            }
+        } catch { /* keep empty */ }
+        document.querySelectorAll('select.nameSel').forEach(fillNameSel);
+        scheduleCheck();
+    }
+
+    /**
+     * Every name / table reference a section can use, e.g. "SalesData",
+     * "Table1" (data body), "Table1[#All]" and "Table1[Total]".
+     * @returns {Array<{token:string, sheet:string, address:string, kind:'name'|'table'}>}
+     */
+    function nameSources() {
+        const out = [];
+        for (const n of definedNames?.names || []) out.push({ token: n.name, sheet: n.sheet, address: n.address, kind: 'name' });
+        for (const t of definedNames?.tables || []) {
+            if (t.data) out.push({ token: t.name, sheet: t.sheet, address: t.data, kind: 'table' });
+            out.push({ token: `${t.name}[#All]`, sheet: t.sheet, address: t.address, kind: 'table' });
+            for (const c of t.columns || []) if (c.address) out.push({ token: `${t.name}[${c.name}]`, sheet: t.sheet, address: c.address, kind: 'table' });
+        }
+        return out;
+    }
+
+    /**
+     * Looks up a name or table reference (case-insensitive); sheet-scoped
+     * names on `preferSheet` win over workbook-level ones.
+     * @param {string} token
+     * @param {string} [preferSheet]
+     * @returns {{token:string, sheet:string, address:string}|null}
+     */
+    function resolveName(token, preferSheet) {
+        const t = (token || '').trim().toLowerCase();
+        if (!t) return null;
+        const hits = nameSources().filter(s => s.token.toLowerCase() === t);
+        return hits.find(s => preferSheet && s.sheet.toLowerCase() === preferSheet.toLowerCase()) || hits[0] || null;
+    }
+
+    /** Fills a row's "Name / table…" picker from `definedNames`. */
+    function fillNameSel(sel) {
+        sel.innerHTML = '';
+        const sources = nameSources();
+        sel.append(new Option(sources.length ? 'Name / table…' : '(no names)', '', true, true));
+        sel.disabled = !sources.length;
+        for (const [kind, label] of [['name', 'Defined names'], ['table', 'Tables']]) {
+            const list = sources.filter(s => s.kind === kind);
+            if (!list.length) continue;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            list.forEach(s => group.append(new Option(`${s.token} — ${s.sheet}!${s.address}`, `${s.sheet}\u0000${s.token}`)));
+            sel.append(group);
+        }
+    }
+
+    /**
+     * Adds a name / table reference to a row and switches the row's sheet
+     * (group picker or #rangeSheet) to the sheet the name lives on.
+     * @param {HTMLElement} row
+     * @param {{token:string, sheet:string}} source
+     */
+    function useName(row, source) {
+        const sheetSel = row.closest('.card')?.querySelector('.sheetSel') || rangeSheet;
+        if (sheetSel && sheetSel.value !== source.sheet) {
+            const others = Array.from(sheetSel.closest('.card')?.querySelectorAll('.sectionRanges') || rangeRows?.querySelectorAll('.sectionRanges') || [])
+                .some(i => i !== row.querySelector('.sectionRanges') && i.value.trim());
+            if (others && !confirm(`'${source.token}' is on sheet '${source.sheet}'. Switch this sheet's rows to '${source.sheet}'?`)) return;
+            if (![...sheetSel.options].some(o => o.value === source.sheet)) sheetSel.append(new Option(source.sheet, source.sheet));
+            sheetSel.value = source.sheet;
+            sheetSel.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        const input = row.querySelector('.sectionRanges');
+        const current = input.value.trim().replace(/,\s*$/, '');
+        input.value = current ? `${current}, ${source.token}` : source.token;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
     /**
      * Creates a single "Section + Ranges" row element for either mode.
      *
      * @param {string} [name='']    Initial value for the section name input.
      * @param {string} [ranges='']  Initial value for the ranges input (comma-separated A1 ranges).
+     * @param {string} [points='']  Initial section weight ("12" points or "30%" of the total).
      * @returns {HTMLDivElement}    A <div> row containing inputs and a "Remove" button.
      *
      * Structure:
      * <div.hstack>
      *   <input.sectionName />
      *   <input.sectionRanges />
+     *   <select.nameSel />      <!-- defined names / tables of the key -->
+     *   <input.sectionPoints /> <!-- optional section budget: points or % of #rangeTotalPoints -->
+     *   <button.gridBtn />      <!-- pick ranges on the sheet grid (range-grid.js) -->
      *   <button.removeRowBtn />
+     *   <span.range-status />   <!-- cell count / problems, filled by checkRanges() -->
      * </div>
      */
-    function a1Row(name = '', ranges = '') {
+    function a1Row(name = '', ranges = '', points = '') {
         const row = document.createElement('div');
         row.className = 'hstack';
         row.style.gap = '8px';
         row.innerHTML = `
-                        <input class="sectionName" type="text" placeholder="Section name (e.g., Totals)" style="min-width:220px" value="${name}">
-                        <input class="sectionRanges" type="text" placeholder="A1 ranges (comma-separated, e.g., A2:B20, E8:E18)" style="min-width:360px" value="${ranges}">
+                        <input class="sectionName" type="text" placeholder="Section name (e.g., Totals)" style="min-width:220px">
+                        <input class="sectionRanges" type="text" placeholder="A1 ranges or names (comma-separated, e.g., A2:B20, E8:E18, SalesData)" style="min-width:360px">
+                        <select class="nameSel" title="Use a defined name or table of the key workbook" style="max-width:180px"></select>
+                        <input class="sectionPoints" type="text" placeholder="pts or %" title="Section weight: points (e.g. 12) or a share of Total Points (e.g. 30%). Empty = share what is left." style="width:80px">
+                        <button class="ghost gridBtn" type="button" title="Pick ranges on a grid of the selected sheet">Grid</button>
                         <button class="ghost removeRowBtn" type="button">Remove</button>
+                        <span class="tiny range-status"></span>
                     `;
-        row.querySelector('.removeRowBtn').onclick = () => row.remove();
+        // set as properties so quotes in pasted / loaded text cannot break the markup
+        row.querySelector('.sectionName').value = name;
+        row.querySelector('.sectionRanges').value = ranges;
+        row.querySelector('.sectionPoints').value = points;
+
+        const nameSel = row.querySelector('.nameSel');
+        fillNameSel(nameSel);
+        nameSel.onchange = () => {
+            const [sheet, token] = nameSel.value.split('\u0000');
+            nameSel.value = '';
+            const source = token && nameSources().find(s => s.sheet === sheet && s.token === token);
+            if (source) useName(row, source);
+        };
+        row.querySelector('.gridBtn').onclick = () => window.rangeGrid?.open(row);
+        row.querySelector('.removeRowBtn').onclick = () => { row.remove(); window.rangeGrid?.refresh(); scheduleCheck(); };
         return row;
     }
 
@@ -103,6 +221,7 @@ window.addEventListener('DOMContentLoaded', function () {
      *  - remove the entire sheet group
      *
      * @param {string} [defaultSheet]  Optional sheet name to pre-select if it exists in `sheetNames`.
+     * @param {Array<{section:string, ranges:string[]}>} [sections]  Rows to pre-fill (one empty row when omitted).
      * @returns {void}
      *
      * DOM inserted:
@@ -115,7 +234,7 @@ window.addEventListener('DOMContentLoaded', function () {
      *   <div.rows> <!-- holds a1Row() rows --> </div>
      * </div>
      */
-    function addGroup(defaultSheet) {
+    function addGroup(defaultSheet, sections) {
         const g = document.createElement('div');
         g.className = 'card stack';
         g.style.padding = '12px';
@@ -133,22 +252,29 @@ window.addEventListener('DOMContentLoaded', function () {
         // Populate sheet list
         for (const name of sheetNames) sheetSel.appendChild(new Option(name, name));
         if (defaultSheet && sheetNames.includes(defaultSheet)) sheetSel.value = defaultSheet;
+        else if (defaultSheet && sections) {
+            // layouts may name a sheet the current key does not have; keep it visible
+            sheetSel.appendChild(new Option(`${defaultSheet} (not in key)`, defaultSheet));
+            sheetSel.value = defaultSheet;
+        }
 
         /**
          * Adds a single "Section + Ranges" row inside this group's rows container.
          * @param {string} [n=''] Pre-filled section name.
          * @param {string} [r=''] Pre-filled ranges string.
          */
-        function addRow(n = '', r = '') { rowsEl.appendChild(a1Row(n, r)); }
+        function addRow(n = '', r = '', p = '') { rowsEl.appendChild(a1Row(n, r, p)); }
 
         // Wire up buttons for this group
         g.querySelector('.addRowBtn').onclick = () => addRow();
-        g.querySelector('.removeGroupBtn').onclick = () => g.remove();
+        g.querySelector('.removeGroupBtn').onclick = () => { g.remove(); scheduleCheck(); };
 
-        // Start with one empty row to guide the user
-        addRow();
+        // Start with the given sections, or one empty row to guide the user
+        if (sections?.length) sections.forEach(s => addRow(s.section || '', (s.ranges || []).join(', '), s.points ?? ''));
+        else addRow();
 
         groupsEl.appendChild(g);
+        scheduleCheck();
     }
 
     // --- MULTI-SHEET MODE (if #rangeGroups exists) ---
@@ -160,6 +286,7 @@ window.addEventListener('DOMContentLoaded', function () {
         btnAddRangeSheet.addEventListener('click', async () => {
             if (sheetNames.length === 0) await loadSheetNames();
             if (sheetNames.length === 0) return alert('Choose a key workbook first.');
+            if (!definedNames) await loadDefinedNames();
             addGroup(sheetNames[0]); // default to the first available sheet
         });
 
@@ -169,13 +296,223 @@ window.addEventListener('DOMContentLoaded', function () {
         keyInput?.addEventListener('change', async () => { await loadSheetNames(); });
     }
 
+    // --- Range checking ---------------------------------------------------------
+    // Every token in `.sectionRanges` is parsed with A1.parseRange as it is typed.
+    // Rows show their cell count or problems in `.range-status`; overlaps between
+    // sections of the same sheet are listed in #rangeCheckSummary. On blur the
+    // text is rewritten in normalized form (upper case, top-left corner first).
+
+    const rangeSummary = document.getElementById('rangeCheckSummary');
+    const usedAreas = new Map(); // sheet -> { lastRow, lastCol } (null while loading)
+    let checkTimer = null;
+
+    /**
+     * Section rows grouped by the sheet they target, in page order.
+     * @returns {Array<{sheet:string, rows:HTMLElement[]}>}
+     */
+    function rowGroups() {
+        if (groupsEl && groupsEl.children.length > 0)
+            return Array.from(groupsEl.children).map(g => ({
+                sheet: (g.querySelector('.sheetSel')?.value || '').trim(),
+                rows: Array.from(g.querySelectorAll('.rows .hstack'))
+            }));
+        if (rangeSheet && rangeRows)
+            return [{ sheet: (rangeSheet.value || '').trim(), rows: Array.from(rangeRows.querySelectorAll('.hstack')) }];
+        return [];
+    }
+
+    /**
+     * Parses a comma-separated ranges string for one sheet. Defined names and
+     * table references are resolved to their address; each area becomes a
+     * token whose `via` is the name as written in the key.
+     * @param {string} text
+     * @param {string} sheet
+     * @returns {Array<{raw:string, range?:object, via?:string, error?:string}>}
+     */
+    function parseRangesText(text, sheet) {
+        return (text || '').split(',').map(s => s.trim()).filter(Boolean).flatMap(raw => {
+            const range = A1.parseRange(raw);
+            if (!range) {
+                const named = resolveName(raw, sheet);
+                if (!named) return [{ raw, error: `'${raw}' is not a valid A1 range or known name` }];
+                if (sheet && named.sheet.toLowerCase() !== sheet.toLowerCase())
+                    return [{ raw, error: `'${raw}' is on sheet '${named.sheet}', not '${sheet}'` }];
+                return named.address.split(',').map(a => ({ raw, via: named.token, range: A1.parseRange(a) })).filter(t => t.range);
+            }
+            if (range.sheet && sheet && range.sheet.toLowerCase() !== sheet.toLowerCase())
+                return [{ raw, error: `'${raw}' refers to sheet '${range.sheet}', not '${sheet}'` }];
+            return [{ raw, range }];
+        });
+    }
+
+    /**
+     * Parses a section weight: "" (none), points ("12") or a share of the total ("30%").
+     * @param {string} text
+     * @param {number} total - #rangeTotalPoints (0 when empty).
+     * @returns {{points:(number|null), pct?:number, error?:string}}
+     */
+    function parseWeight(text, total) {
+        const s = (text || '').trim();
+        if (!s) return { points: null };
+        const m = /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(s);
+        if (!m) return { points: null, error: `weight '${s}' must be points (12) or a percentage (30%)` };
+        if (!m[2]) return { points: +m[1] };
+        if (!(total > 0)) return { points: null, error: `weight '${s}' needs Total Points` };
+        return { points: Math.round(+m[1] * total * 10) / 1000, pct: +m[1] };
+    }
+
+    /** Cells of a range, clipped to the sheet's used area when it is known. */
+    function cellCount(p, used) {
+        if (!used) return p.cells;
+        const w = Math.min(p.c2, used.lastCol) - p.c1 + 1, h = Math.min(p.r2, used.lastRow) - p.r1 + 1;
+        return w > 0 && h > 0 ? w * h : 0;
+    }
+
+    /** Requests the used area of a sheet once, re-checking when it arrives. */
+    function loadUsedArea(sheet) {
+        if (!sheet || usedAreas.has(sheet) || !window.rangeGrid?.usedArea) return;
+        usedAreas.set(sheet, null);
+        window.rangeGrid.usedArea(sheet)
+            .then(a => { usedAreas.set(sheet, a?.lastRow ? a : null); scheduleCheck(); })
+            .catch(() => { /* leave unknown; only the used-area warning is skipped */ });
+    }
+
+    /**
+     * Parses every row, updates the inline marks and the summary.
+     * @returns {{errors:string[], overlaps:string[], payload:Object<string,Array<{section:string, ranges:string[], points?:number}>>}}
+     *   `payload` holds the normalized sections_json (valid tokens only, weights in points).
+     */
+    function checkRanges() {
+        checkTimer = null;
+        const errors = [], overlaps = [], payload = {};
+        const total = +(rangeTotalPoints?.value || 0) || 0;
+        let weighted = 0, weightSum = 0, unweighted = 0;
+
+        for (const { sheet, rows } of rowGroups()) {
+            loadUsedArea(sheet);
+            const used = usedAreas.get(sheet) || null;
+            const entries = rows.map(row => {
+                const name = (row.querySelector('.sectionName')?.value || '').trim() || 'Section';
+                const tokens = parseRangesText(row.querySelector('.sectionRanges')?.value, sheet);
+                return { row, name, tokens, warnings: [] };
+            });
+
+            // overlaps between (and within) sections of this sheet
+            const valid = entries.flatMap(e => e.tokens.filter(t => t.range).map(t => ({ e, t })));
+            for (let i = 0; i < valid.length; i++)
+                for (let j = i + 1; j < valid.length; j++) {
+                    const a = valid[i], b = valid[j];
+                    if (!A1.overlaps(a.t.range, b.t.range)) continue;
+                    const where = `${a.t.range.normalized} / ${b.t.range.normalized}`;
+                    if (a.e === b.e) { a.e.warnings.push(`${where} overlap each other`); continue; }
+                    a.e.warnings.push(`overlaps '${b.e.name}' (${where})`);
+                    b.e.warnings.push(`overlaps '${a.e.name}' (${where})`);
+                    overlaps.push(`${sheet}: '${a.e.name}' and '${b.e.name}' both claim ${where}`);
+                }
+
+            const sections = [];
+            for (const e of entries) {
+                const input = e.row.querySelector('.sectionRanges');
+                const status = e.row.querySelector('.range-status');
+                const bad = e.tokens.filter(t => t.error);
+                bad.forEach(t => errors.push(`${sheet || '(no sheet)'} › ${e.name}: ${t.error}`));
+
+                const good = e.tokens.filter(t => t.range);
+                if (used) for (const t of good) {
+                    const p = t.range;
+                    if (p.c1 > used.lastCol || p.r1 > used.lastRow) e.warnings.push(`${p.normalized} is outside the used area (A1:${A1.numToCol(used.lastCol)}${used.lastRow})`);
+                    else if ((p.c2 > used.lastCol && p.c2 < A1.MAX_COL) || (p.r2 > used.lastRow && p.r2 < A1.MAX_ROW))
+                        e.warnings.push(`${p.normalized} extends past the used area (A1:${A1.numToCol(used.lastCol)}${used.lastRow})`);
+                }
+                const cells = good.reduce((n, t) => n + cellCount(t.range, used), 0);
+
+                const weightInput = e.row.querySelector('.sectionPoints');
+                const weight = parseWeight(weightInput?.value, total);
+                if (weight.error) errors.push(`${sheet || '(no sheet)'} › ${e.name}: ${weight.error}`);
+                weightInput?.classList.toggle('field-error', !!weight.error);
+                if (good.length && weight.points != null) { weighted++; weightSum += weight.points; }
+                else if (good.length) unweighted++;
+                const pts = weight.points == null ? '' : ` · ${weight.pct != null ? `${weight.pct}% = ` : ''}${fmtNum(weight.points)} pts`;
+
+                input?.classList.toggle('field-error', bad.length > 0);
+                input?.classList.toggle('field-warning', !bad.length && e.warnings.length > 0);
+                if (status) {
+                    status.className = 'tiny range-status';
+                    if (bad.length || weight.error) { status.classList.add('v-error'); status.textContent = '✖ ' + bad.map(t => t.error).concat(weight.error || []).join('; '); }
+                    else if (e.warnings.length) { status.classList.add('v-warning'); status.textContent = `⚠ ${cells} ${cells === 1 ? 'cell' : 'cells'}${pts} · ${e.warnings.join('; ')}`; }
+                    else status.textContent = good.length ? `${cells} ${cells === 1 ? 'cell' : 'cells'}${pts}` : '';
+                }
+                if (good.length) {
+                    const section = { section: e.name, ranges: good.map(t => t.range.normalized) };
+                    if (weight.points != null) section.points = weight.points;
+                    sections.push(section);
+                }
+            }
+            if (sheet && sections.length) payload[sheet] = (payload[sheet] || []).concat(sections);
+        }
+
+        // section weights against the total
+        let weightLine = null;
+        if (weighted) {
+            const sum = Math.round(weightSum * 1000) / 1000;
+            const left = Math.round((total - sum) * 1000) / 1000;
+            const n = `${weighted} weighted ${weighted === 1 ? 'section' : 'sections'}`;
+            if (!total) weightLine = ['v-ok', `Weights: ${fmtNum(sum)} pts across ${n}; the other sections keep their generated points`];
+            else if (left < 0) {
+                errors.push(`Section weights add up to ${fmtNum(sum)} pts, more than the total ${fmtNum(total)}`);
+                weightLine = ['v-error', `✖ Weights add up to ${fmtNum(sum)} of ${fmtNum(total)} pts (${fmtNum(-left)} over)`];
+            }
+            else if (left > 0 && !unweighted) weightLine = ['v-warning', `⚠ Weights add up to ${fmtNum(sum)} of ${fmtNum(total)} pts — every section is weighted, so the rubric will total ${fmtNum(sum)}`];
+            else if (left > 0) weightLine = ['v-ok', `✔ Weights: ${fmtNum(sum)} of ${fmtNum(total)} pts; ${unweighted} unweighted ${unweighted === 1 ? 'section shares' : 'sections share'} the remaining ${fmtNum(left)}`];
+            else weightLine = [unweighted ? 'v-warning' : 'v-ok', unweighted
+                ? `⚠ Weights use the whole ${fmtNum(total)} pts; ${unweighted} unweighted ${unweighted === 1 ? 'section gets' : 'sections get'} 0`
+                : `✔ Weights add up to the total (${fmtNum(total)} pts)`];
+        }
+
+        if (rangeSummary) {
+            rangeSummary.innerHTML = '';
+            const problems = errors.length - (weightLine?.[0] === 'v-error' ? 1 : 0);
+            if (problems) rangeSummary.append(el('div', 'v-error', `✖ ${problems} invalid ${problems === 1 ? 'entry' : 'entries'} — fix ${problems === 1 ? 'it' : 'them'} before building`));
+            if (weightLine) rangeSummary.append(el('div', weightLine[0], esc(weightLine[1])));
+            overlaps.forEach(o => rangeSummary.append(el('div', 'v-warning', `⚠ ${esc(o)}`)));
+        }
+        return { errors, overlaps, payload };
+    }
+
+    function scheduleCheck() {
+        if (checkTimer) clearTimeout(checkTimer);
+        checkTimer = setTimeout(checkRanges, 150);
+    }
+
+    /** Rewrites a ranges input in normalized form, leaving invalid tokens as typed. */
+    function normalizeInput(input) {
+        const row = input.closest('.hstack');
+        const group = rowGroups().find(g => g.rows.includes(row));
+        const tokens = parseRangesText(input.value, group?.sheet || '');
+        const next = [...new Set(tokens.map(t => t.via || (t.range ? t.range.normalized : t.raw)))].join(', ');
+        if (next !== input.value.trim()) {
+            input.value = next;
+            window.rangeGrid?.refresh();
+        }
+    }
+
+    document.addEventListener('input', (e) => {
+        if (e.target.matches?.('.sectionRanges, .sectionName, .sectionPoints, #rangeTotalPoints')) scheduleCheck();
+    });
+    document.addEventListener('change', (e) => {
+        if (e.target.matches?.('.sectionRanges')) normalizeInput(e.target);
+        if (e.target.matches?.('.sectionRanges, .sheetSel, #rangeSheet')) scheduleCheck();
+    });
+    keyInput?.addEventListener('change', () => { usedAreas.clear(); loadDefinedNames(); });
+
     /**
      * Builds the sections_json payload (single- or multi-sheet), posts it to
      * /api/rubric/from-ranges with the uploaded key, and renders the resulting rubric.
      *
      * Side effects:
      * - Disables and updates the "Build" button text while in-flight.
-     * - On success, calls `window.renderBuilderFromRubric(rub)` if present,
+     * - In "append" / "merge" mode (#rangeBuildMode) hands the result to `window.rubricMerge`.
+     * - Otherwise calls `window.renderBuilderFromRubric(rub)` if present,
      *   otherwise assigns `rubric = rub` and triggers `render()` / `refreshJsonPreview()` if available.
      * - On failure, shows an alert with the error message and logs to console.
      */
@@ -183,45 +520,16 @@ window.addEventListener('DOMContentLoaded', function () {
         const file = keyInput?.files?.[0];
         if (!file) return alert('Choose a key workbook first.');
 
-        // Compose sections_json:
-        //  - multi-sheet: from groups
-        //  - single-sheet: from drop-down + rows
-        const payload = {};
-
-        if (groupsEl && groupsEl.children.length > 0) {
-            // multi-sheet
-            for (const g of groupsEl.children) {
-                const sheet = (g.querySelector('.sheetSel')?.value || '').trim();
-                if (!sheet) continue;
-                const rows = Array.from(g.querySelectorAll('.rows .hstack'));
-                const sections = [];
-                for (const r of rows) {
-                    const name = (r.querySelector('.sectionName')?.value || '').trim() || 'Section';
-                    const rangesText = (r.querySelector('.sectionRanges')?.value || '').trim();
-                    if (!rangesText) continue;
-                    const ranges = rangesText.split(',').map(s => s.trim()).filter(Boolean);
-                    if (ranges.length) sections.push({ section: name, ranges });
-                }
-                if (sections.length) payload[sheet] = sections;
-            }
-        } else if (rangeSheet && rangeRows) {
-            // single-sheet
-            const sheet = (rangeSheet.value || '').trim();
-            if (!sheet) return alert('Pick a sheet.');
-            const rows = Array.from(rangeRows.querySelectorAll('.hstack'));
-            const sections = [];
-            for (const r of rows) {
-                const name = (r.querySelector('.sectionName')?.value || '').trim() || 'Section';
-                const rangesText = (r.querySelector('.sectionRanges')?.value || '').trim();
-                if (!rangesText) continue;
-                const ranges = rangesText.split(',').map(s => s.trim()).filter(Boolean);
-                if (ranges.length) sections.push({ section: name, ranges });
-            }
-            if (!sections.length) return alert('Add at least one row with ranges.');
-            payload[sheet] = sections;
-        } else {
-            return alert('Add at least one sheet/section.');
-        }
+        // Compose sections_json from the parsed rows (multi-sheet groups or the
+        // single-sheet drop-down + rows); ranges are sent in normalized form.
+        const groups = rowGroups();
+        if (!groups.length) return alert('Add at least one sheet/section.');
+        if (!groupsEl?.children.length && !groups[0].sheet) return alert('Pick a sheet.');
+
+        const { errors, overlaps, payload } = checkRanges();
+        if (errors.length) return alert('Fix these before building:\n\n' + errors.join('\n'));
+        if (!Object.keys(payload).length) return alert('Add at least one row with ranges.');
+        if (overlaps.length && !confirm('Some sections overlap:\n\n' + overlaps.join('\n') + '\n\nBuild anyway?')) return;
 
         // Build request
         const fd = new FormData();
@@ -243,6 +551,14 @@ window.addEventListener('DOMContentLoaded', function () {
             }
             const rub = await resp.json();
 
+            // Append / merge-by-section keep hand-tuned rules (rubric-merge.js)
+            const mode = buildMode?.value || 'replace';
+            if (mode !== 'replace' && window.rubricMerge) {
+                await window.rubricMerge.apply(rub, mode, payload);
+                return;
+            }
+            if (typeof noteEdit === 'function') noteEdit('Built rubric from sections');
+
             // Prefer dedicated renderer if provided by the page
             if (window.renderBuilderFromRubric) {
                 window.renderBuilderFromRubric(rub);
@@ -261,4 +577,52 @@ window.addEventListener('DOMContentLoaded', function () {
             btnBuildFromRanges.textContent = orig;
         }
     });
+
+    /**
+     * Hooks for other panels (range-layouts.js): rebuild the sheet groups from a
+     * sections_json-shaped object and read the current one back.
+     */
+    window.rangesBuilder = {
+        /** @returns {Object<string,Array<{section:string, ranges:string[]}>>} normalized sections_json (valid ranges only) */
+        collect: () => checkRanges().payload,
+        /** @returns {{token:string, sheet:string, address:string}|null} a defined name / table reference */
+        resolveName,
+        parseRanges: parseRangesText,
+        parseWeight: (text) => parseWeight(text, +(rangeTotalPoints?.value || 0) || 0),
+        /** @returns {Promise<string[]>} sheet names of the key ([] without one) */
+        sheets: async () => (sheetNames.length ? sheetNames : await loadSheetNames()),
+        /**
+         * Adds sections to the existing group of each sheet (case-insensitive),
+         * creating a group for sheets that have none. Blank rows in a reused group are dropped.
+         * @param {Object<string,Array<{section:string, ranges:string[], points?:(number|string)}>>} sections
+         */
+        async merge(sections) {
+            if (!groupsEl) return;
+            if (sheetNames.length === 0) await loadSheetNames();
+            if (!definedNames) await loadDefinedNames();
+            for (const [sheet, list] of Object.entries(sections || {})) {
+                const g = Array.from(groupsEl.children).find(c => (c.querySelector('.sheetSel')?.value || '').toLowerCase() === sheet.toLowerCase());
+                if (!g) { addGroup(sheet, list); continue; }
+                const rowsEl = g.querySelector('.rows');
+                rowsEl.querySelectorAll(':scope > .hstack').forEach(r => {
+                    if (!r.querySelector('.sectionName').value.trim() && !r.querySelector('.sectionRanges').value.trim()) r.remove();
+                });
+                list.forEach(s => rowsEl.appendChild(a1Row(s.section || '', (s.ranges || []).join(', '), s.points ?? '')));
+            }
+            window.rangeGrid?.refresh();
+            scheduleCheck();
+        },
+        /**
+         * Replaces all sheet groups with the given sections.
+         * @param {Object<string,Array<{section:string, ranges:string[]}>>} sections
+         */
+        async load(sections) {
+            if (!groupsEl) return;
+            if (sheetNames.length === 0) await loadSheetNames();
+            window.rangeGrid?.close();
+            groupsEl.innerHTML = '';
+            for (const [sheet, list] of Object.entries(sections || {})) addGroup(sheet, list);
+        },
+        hasGroups: () => !!groupsEl?.children.length
+    };
 });
@@ -0,0 +1,270 @@
+/**
+ * Compare Grading Runs
+ * --------------------
+ * "Compare runs…" diffs two reports: a saved report.json ("Before") against the
+ * report on screen, or against a second saved file ("After"). Students are
+ * matched by submission file name (folders and case ignored), checks by sheet
+ * and check name.
+ *
+ *  - one row per student with both scores and the change; students graded in
+ *    only one run are listed as added / removed
+ *  - clicking a student opens its changed checks: result flips between PASS,
+ *    PARTIAL and FAIL, changed points and changed comments, plus checks only
+ *    one run graded
+ *  - "Checks that changed" counts, per check, the students that got better or
+ *    worse, so a rubric fix can be confirmed not to have moved other checks
+ *
+ * A check's result is PASS at full points, PARTIAL above 0, else FAIL.
+ */
+(function () {
+    const dialog = document.getElementById('diffDialog');
+    const host = document.getElementById('diffBody');
+    const summary = document.getElementById('diffSummary');
+    const fileBefore = document.getElementById('diffFileBefore');
+    const fileAfter = document.getElementById('diffFileAfter');
+    const onlyChanged = document.getElementById('diffOnlyChanged');
+    if (!dialog || !host || !window.gradebookExport) return;
+
+    let last = null; // { before, after, result } of the last comparison
+
+    const gradeOf = r => (r && typeof r.grade === 'object' ? r.grade : r);
+    const fileKey = name => String(name || '').replace(/^.*[\\/]/, '').trim().toLowerCase();
+    const resultOf = d => (+d.earned >= +d.points - 1e-9 ? 'PASS' : (+d.earned > 0 ? 'PARTIAL' : 'FAIL'));
+    const commentOf = d => String(d.comment ?? d.message ?? '');
+    const near = (a, b) => Math.abs((+a || 0) - (+b || 0)) < 1e-9;
+    const num = (v, dec) => gradebookExport.round(v, dec);
+
+    /** Rows of a parsed report (array, { results } or { students }), else null. */
+    function rowsOf(data) {
+        if (Array.isArray(data)) return data;
+        if (Array.isArray(data?.results)) return data.results;
+        if (Array.isArray(data?.students)) return data.students;
+        return null;
+    }
+
+    /**
+     * Reads a saved report.json.
+     * @param {File} file
+     * @returns {Promise<{name:string, rows:object[]}>}
+     */
+    async function readReport(file) {
+        let data;
+        try { data = JSON.parse(await file.text()); } catch (e) { throw new Error(`Could not read '${file.name}': ${e.message}`); }
+        const rows = rowsOf(data);
+        if (!rows) throw new Error(`'${file.name}' is not a grading report (expected a list of results).`);
+        return { name: file.name, rows };
+    }
+
+    /** Checks of one report row keyed sheet \0 check; a repeated check name gets " #2", " #3"… */
+    function checksOf(r) {
+        const map = new Map();
+        for (const d of gradeOf(r)?.details ?? gradeOf(r)?.Details ?? []) {
+            const base = `${String(d.sheet || '').toLowerCase()}\u0000${String(d.check ?? d.rule ?? '')}`;
+            let k = base, n = 1;
+            while (map.has(k)) k = `${base} #${++n}`;
+            map.set(k, d);
+        }
+        return map;
+    }
+
+    /**
+     * Checks of one student that differ between two runs.
+     * @returns {Array<{sheet:string, section:string, check:string, before:object|null, after:object|null, flip:boolean, direction:number}>}
+     *   direction: 1 = more points, -1 = fewer, 0 = same points (comment only)
+     */
+    function diffChecks(beforeRow, afterRow) {
+        const a = checksOf(beforeRow), b = checksOf(afterRow);
+        const out = [];
+        for (const k of new Set([...b.keys(), ...a.keys()])) {
+            const before = a.get(k) || null, after = b.get(k) || null;
+            const d = after || before;
+            const flip = !!(before && after) && resultOf(before) !== resultOf(after);
+            const points = !!(before && after) && !near(before.earned, after.earned);
+            const comment = !!(before && after) && commentOf(before) !== commentOf(after);
+            if (before && after && !flip && !points && !comment) continue;
+            const direction = before && after ? Math.sign((+after.earned || 0) - (+before.earned || 0)) : 0;
+            out.push({ sheet: String(d.sheet || ''), section: String(d.section || ''), check: String(d.check ?? d.rule ?? ''), before, after, flip, direction });
+        }
+        return out;
+    }
+
+    /**
+     * Compares the rows of two reports.
+     * @param {object[]} beforeRows
+     * @param {object[]} afterRows
+     * @returns {{students:object[], checks:object[]}} students: { name, key, before, after, delta, checks, state }
+     *   with state changed | same | added | removed; checks: per check { sheet, check, better, worse, comments }
+     */
+    function compare(beforeRows, afterRows) {
+        const index = rows => {
+            const m = new Map();
+            for (const r of rows) { const k = fileKey(r?.student ?? r?.Student ?? r?.name ?? gradeOf(r)?.name); if (!m.has(k)) m.set(k, r); }
+            return m;
+        };
+        const a = index(beforeRows), b = index(afterRows);
+        const students = [];
+        const byCheck = new Map();
+
+        for (const key of new Set([...b.keys(), ...a.keys()])) {
+            const rb = a.get(key), ra = b.get(key);
+            const before = rb ? gradebookExport.summarize(rb) : null;
+            const after = ra ? gradebookExport.summarize(ra) : null;
+            const name = (after || before).student.replace(/^.*[\\/]/, '');
+            if (!before || !after) { students.push({ name, key, before, after, delta: null, checks: [], state: before ? 'removed' : 'added' }); continue; }
+
+            const checks = (before.error || after.error) ? [] : diffChecks(rb, ra);
+            const delta = (before.error || after.error) ? null : (after.total ?? 0) - (before.total ?? 0);
+            const changed = before.error !== after.error || (delta != null && !near(delta, 0)) || checks.length > 0;
+            students.push({ name, key, before, after, delta, checks, state: changed ? 'changed' : 'same' });
+
+            for (const c of checks) {
+                const k = `${c.sheet.toLowerCase()}\u0000${c.check}`;
+                const t = byCheck.get(k) || { sheet: c.sheet, check: c.check, better: 0, worse: 0, comments: 0 };
+                if (c.direction > 0) t.better++;
+                else if (c.direction < 0) t.worse++;
+                else if (c.before && c.after) t.comments++;
+                byCheck.set(k, t);
+            }
+        }
+        const checks = [...byCheck.values()].sort((x, y) => (y.worse - x.worse) || (y.better - x.better) || x.check.localeCompare(y.check));
+        return { students, checks };
+    }
+
+    // --- Rendering ----------------------------------------------------------------
+
+    function table(headers, cls) {
+        const t = el('table', `analytics-table ${cls || ''}`.trim());
+        const head = el('tr');
+        headers.forEach(h => head.append(el('th', '', h)));
+        t.append(head);
+        return t;
+    }
+
+    function scoreCell(s, dec) {
+        if (!s) return '<span class="tiny muted">not graded</span>';
+        if (s.error) return `<span class="v-error">error</span>`;
+        return `${esc(num(s.total, dec))} / ${esc(num(s.possible, dec))}`;
+    }
+
+    function deltaCell(st, dec) {
+        if (st.state === 'added' || st.state === 'removed') return `<span class="tag partial">${st.state}</span>`;
+        if (st.delta == null) return st.before.error !== st.after.error ? '<span class="v-error">error changed</span>' : '';
+        if (near(st.delta, 0)) return '<span class="muted">±0</span>';
+        return `<span class="${st.delta > 0 ? 'v-ok' : 'v-error'}">${st.delta > 0 ? '+' : ''}${esc(num(st.delta, dec))}</span>`;
+    }
+
+    function resultCell(d, dec) {
+        if (!d) return '<span class="tiny muted">not graded</span>';
+        const r = resultOf(d);
+        return `<span class="tag ${r.toLowerCase()}">${r}</span> <span class="mono">${esc(num(d.earned, dec))}/${esc(num(d.points, dec))}</span>`;
+    }
+
+    function checksSummary(st) {
+        if (st.before?.error || st.after?.error) return esc(st.after?.error || st.before?.error || '');
+        if (!st.checks.length) return '';
+        const flips = st.checks.filter(c => c.flip).length;
+        const other = st.checks.length - flips;
+        return [flips && `${flips} flipped`, other && `${other} other`].filter(Boolean).join(', ');
+    }
+
+    /** Changed checks of one student. */
+    function drillDown(st, dec) {
+        const t = table(['Sheet', 'Section', 'Check', 'Before', 'After', 'Comment'], 'diff-checks');
+        for (const c of st.checks) {
+            const tr = el('tr', c.flip ? 'diff-flip' : null);
+            const was = c.before ? commentOf(c.before) : '', now = c.after ? commentOf(c.after) : '';
+            const comment = (c.before && c.after && was !== now)
+                ? `<div class="diff-old">${esc(was) || '<em>(none)</em>'}</div><div class="diff-new">${esc(now) || '<em>(none)</em>'}</div>`
+                : esc(now || was);
+            tr.innerHTML = `<td>${esc(c.sheet)}</td><td>${esc(c.section)}</td><td class="mono">${esc(c.check)}</td>`
+                + `<td>${resultCell(c.before, dec)}</td><td>${resultCell(c.after, dec)}</td><td>${comment}</td>`;
+            t.append(tr);
+        }
+        return t;
+    }
+
+    function render() {
+        host.innerHTML = '';
+        if (!last) return;
+        const { before, after, result } = last;
+        const dec = gradebookExport.rubricDecimals(reportContext());
+        const { students, checks } = result;
+        const count = s => students.filter(x => x.state === s).length;
+        const changed = students.filter(s => s.state === 'changed');
+        const up = changed.filter(s => s.delta > 1e-9).length, down = changed.filter(s => s.delta < -1e-9).length;
+        if (summary) summary.textContent = `${before.name} → ${after.name}`;
+
+        host.append(el('div', 'tiny', `${count('changed') + count('same')} matched · <strong>${changed.length} changed</strong> (${up} up, ${down} down, ${changed.filter(s => s.delta != null && near(s.delta, 0)).length} same score) · ${count('removed')} only before · ${count('added')} only after`));
+
+        const shown = onlyChanged?.checked ? students.filter(s => s.state !== 'same') : students;
+        if (!shown.length) {
+            host.append(el('div', 'muted', 'No score or check changed between the two runs.'));
+        } else {
+            const t = table(['Student', 'Before', 'After', 'Change', 'Checks'], 'diff-table');
+            for (const st of shown) {
+                const tr = el('tr', `diff-row${st.checks.length ? ' diff-open' : ''}`);
+                tr.innerHTML = `<td>${st.checks.length ? '▸ ' : ''}${esc(st.name)}</td><td>${scoreCell(st.before, dec)}</td><td>${scoreCell(st.after, dec)}</td><td>${deltaCell(st, dec)}</td><td class="tiny">${checksSummary(st)}</td>`;
+                if (st.checks.length) {
+                    tr.title = 'Show the changed checks';
+                    tr.onclick = () => {
+                        const open = tr.nextElementSibling?.classList.contains('diff-detail');
+                        tr.cells[0].innerHTML = `${open ? '▸' : '▾'} ${esc(st.name)}`;
+                        if (open) { tr.nextElementSibling.remove(); return; }
+                        const row = el('tr', 'diff-detail');
+                        const td = el('td');
+                        td.colSpan = 5;
+                        td.append(drillDown(st, dec));
+                        row.append(td);
+                        tr.after(row);
+                    };
+                }
+                t.append(tr);
+            }
+            host.append(t);
+        }
+
+        if (checks.length) {
+            const box = el('details', 'stack');
+            box.open = true;
+            box.append(el('summary', '', `<strong>Checks that changed</strong> <span class="tiny muted">(${checks.length})</span>`));
+            const t = table(['Sheet', 'Check', 'Better', 'Worse', 'Comment only']);
+            for (const c of checks) {
+                const tr = el('tr');
+                tr.innerHTML = `<td>${esc(c.sheet)}</td><td class="mono">${esc(c.check)}</td>`
+                    + `<td>${c.better ? `<span class="v-ok">${c.better}</span>` : ''}</td><td>${c.worse ? `<span class="v-error">${c.worse}</span>` : ''}</td><td>${c.comments || ''}</td>`;
+                t.append(tr);
+            }
+            box.append(t);
+            host.append(box);
+        }
+    }
+
+    async function run() {
+        const a = fileBefore?.files?.[0], b = fileAfter?.files?.[0];
+        if (!a) return alert('Choose the earlier report.json ("Before").');
+        if (!b && !lastReportRaw) return alert('Choose a second report.json ("After") — there is no report on screen to compare with.');
+        try {
+            const before = await readReport(a);
+            const after = b ? await readReport(b) : { name: 'report on screen', rows: gradebookExport.rows() };
+            last = { before, after, result: compare(before.rows, after.rows) };
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        render();
+    }
+
+    function open() {
+        dialog.classList.remove('hidden');
+        if (summary && !last) summary.textContent = lastReportRaw ? 'leave “After” empty to use the report on screen' : '';
+    }
+
+    function close() { dialog.classList.add('hidden'); }
+
+    document.getElementById('btnCompareRuns')?.addEventListener('click', e => { e.preventDefault(); open(); });
+    document.getElementById('btnDiffClose')?.addEventListener('click', e => { e.preventDefault(); close(); });
+    document.getElementById('btnDiffRun')?.addEventListener('click', e => { e.preventDefault(); run(); });
+    onlyChanged?.addEventListener('change', render);
+
+    window.reportDiff = { compare, diffChecks, open };
+})();
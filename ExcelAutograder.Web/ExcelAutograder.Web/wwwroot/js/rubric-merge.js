@@ -0,0 +1,194 @@
+/**
+ * Build-from-Sections Merge
+ * -------------------------
+ * Combines a rubric generated by /api/rubric/from-ranges with the one in the
+ * builder instead of replacing it (#rangeBuildMode):
+ *
+ *  - replace: the generated rubric replaces the builder (previous behavior)
+ *  - append:  generated rules are added to their sheets
+ *  - merge:   on each sheet that was sent, rules in the sections that were
+ *             sent (sections_json) are dropped first, even when a section came
+ *             back without rules; other sections are left alone
+ *
+ * A generated rule that targets the same sheet, cell/range and type as a rule
+ * that stays in the builder is a conflict. They are listed in #mergeDialog
+ * where each can keep the existing rule, the generated one, or both.
+ */
+(function () {
+    const dialog = document.getElementById('mergeDialog');
+    const list = document.getElementById('mergeList');
+
+    /**
+     * Identity used for conflicts: sheet + type + normalized cell/range
+     * (artifact rules fall back to `keyForRule`, e.g. "chart:Sheet1/Sales").
+     * @param {string} sheet
+     * @param {object} r
+     * @returns {string}
+     */
+    function conflictKey(sheet, r) {
+        const loc = (r.cell || r.range || '').toString().trim();
+        const p = loc && window.A1 ? A1.parseRange(loc) : null;
+        const where = p ? p.normalized : (loc ? loc.toUpperCase() : keyForRule(r));
+        return `${sheet.toLowerCase()}|${(r.type || 'rule').toLowerCase()}|${where}`;
+    }
+
+    /**
+     * Works out the combined rubric without touching the builder.
+     * @param {object} current - The builder rubric.
+     * @param {object} generated - Rubric returned by the server.
+     * @param {'append'|'merge'} mode
+     * @param {Object<string,Array<{section:string}>>} [submitted] - The sections_json that was sent, per sheet.
+     * @returns {{result:object, conflicts:Array<{sheet:string, checks:object[], existing:object, generated:object}>, added:number, removed:number}}
+     *   Conflicting generated rules are not in `result` yet; see `resolve()`.
+     */
+    function plan(current, generated, mode, submitted) {
+        const result = JSON.parse(JSON.stringify(current || {}));
+        result.sheets = result.sheets || {};
+        const conflicts = [];
+        let added = 0, removed = 0;
+
+        // sections sent per sheet; a sheet whose sections all came back empty is missing from `generated`
+        const sent = new Map(Object.entries(submitted || {}).map(([s, secs]) =>
+            [s.toLowerCase(), (secs || []).map(x => (x.section || '').trim()).filter(Boolean)]));
+        const sheets = Object.entries(generated?.sheets || {});
+        for (const s of Object.keys(submitted || {}))
+            if (!sheets.some(([g]) => g.toLowerCase() === s.toLowerCase())) sheets.push([s, { checks: [] }]);
+
+        for (const [genSheet, genSpec] of sheets) {
+            // server sheet names match case-insensitively
+            const sheet = Object.keys(result.sheets).find(s => s.toLowerCase() === genSheet.toLowerCase()) || genSheet;
+            if (!result.sheets[sheet] && !(genSpec.checks || []).length) continue;
+            const target = result.sheets[sheet] = result.sheets[sheet] || { checks: [] };
+            target.checks = target.checks || [];
+            const genChecks = (genSpec.checks || []).map(r => { const c = { ...r }; delete c.__id; return c; });
+
+            if (mode === 'merge') {
+                const regenerated = new Set([...(sent.get(genSheet.toLowerCase()) || []), ...genChecks.map(r => (r.section || '').trim()).filter(Boolean)]);
+                const before = target.checks.length;
+                target.checks = target.checks.filter(r => !regenerated.has((r.section || '').trim()));
+                removed += before - target.checks.length;
+            }
+
+            const existing = new Map();
+            for (const r of target.checks) {
+                const k = conflictKey(sheet, r);
+                if (!existing.has(k)) existing.set(k, r);
+            }
+            for (const g of genChecks) {
+                const hit = existing.get(conflictKey(sheet, g));
+                if (hit) conflicts.push({ sheet, checks: target.checks, existing: hit, generated: g });
+                else { target.checks.push(g); added++; }
+            }
+
+            for (const name of genSpec.section_order || []) {
+                target.section_order = Array.isArray(target.section_order) ? target.section_order : [];
+                if (!target.section_order.includes(name)) target.section_order.push(name);
+            }
+        }
+        return { result, conflicts, added, removed };
+    }
+
+    /**
+     * Applies one conflict choice to the planned rubric.
+     * @param {{checks:object[], existing:object, generated:object}} c
+     * @param {'existing'|'generated'|'both'} choice
+     */
+    function resolve(c, choice) {
+        if (choice === 'generated') {
+            const at = c.checks.indexOf(c.existing);
+            if (at >= 0) c.checks[at] = c.generated; else c.checks.push(c.generated);
+        } else if (choice === 'both') c.checks.push(c.generated);
+    }
+
+    /** One-line description of a rule for the conflict list. */
+    function summary(r) {
+        const bits = [`${r.points ?? 0} pts`];
+        if (r.section) bits.push(r.section);
+        if (r.expected_formula) bits.push(r.expected_formula);
+        else if (r.expected != null && typeof r.expected !== 'object') bits.push(`= ${r.expected}`);
+        if (r.note) bits.push(r.note);
+        return bits.join(' · ');
+    }
+
+    /**
+     * Shows the conflict list and resolves with one choice per conflict, or null when cancelled.
+     * @param {Array<{sheet:string, existing:object, generated:object}>} conflicts
+     * @returns {Promise<Array<'existing'|'generated'|'both'>|null>}
+     */
+    function askConflicts(conflicts) {
+        if (!dialog || !list) return Promise.resolve(conflicts.map(() => 'existing'));
+        const count = document.getElementById('mergeCount');
+        if (count) count.textContent = `${conflicts.length} ${conflicts.length === 1 ? 'conflict' : 'conflicts'}`;
+
+        list.innerHTML = '';
+        conflicts.forEach((c, i) => {
+            const row = el('div', 'merge-row stack');
+            row.append(el('div', '', `<b>${esc(c.sheet)}</b> · ${esc(ruleLabel(c.existing))}`));
+            const opts = el('div', 'hstack merge-choices');
+            for (const [value, label, detail] of [
+                ['existing', 'Keep existing', summary(c.existing)],
+                ['generated', 'Keep generated', summary(c.generated)],
+                ['both', 'Keep both', '']
+            ]) {
+                const lab = el('label', 'checkbox');
+                const radio = el('input');
+                radio.type = 'radio'; radio.name = `merge-${i}`; radio.value = value; radio.checked = value === 'existing';
+                lab.append(radio, ` ${label}`);
+                if (detail) lab.append(el('span', 'tiny muted', ` — ${esc(detail)}`));
+                opts.append(lab);
+            }
+            row.append(opts);
+            list.append(row);
+        });
+
+        dialog.classList.remove('hidden');
+        return new Promise(done => {
+            const finish = (value) => {
+                dialog.classList.add('hidden');
+                dialog.querySelectorAll('[data-all]').forEach(b => { b.onclick = null; });
+                document.getElementById('btnMergeApply').onclick = null;
+                document.getElementById('btnMergeCancel').onclick = null;
+                done(value);
+            };
+            dialog.querySelectorAll('[data-all]').forEach(b => {
+                b.onclick = (e) => {
+                    e.preventDefault();
+                    list.querySelectorAll(`input[type=radio][value="${b.dataset.all}"]`).forEach(r => { r.checked = true; });
+                };
+            });
+            document.getElementById('btnMergeApply').onclick = (e) => {
+                e.preventDefault();
+                finish(conflicts.map((c, i) => list.querySelector(`input[name="merge-${i}"]:checked`)?.value || 'existing'));
+            };
+            document.getElementById('btnMergeCancel').onclick = (e) => { e.preventDefault(); finish(null); };
+        });
+    }
+
+    /**
+     * Appends or merges a generated rubric into the builder ("replace" stays in ranges-builder.js).
+     * @param {object} generated
+     * @param {'append'|'merge'} mode
+     * @param {Object<string,Array<{section:string}>>} [submitted] - The sections_json that was sent.
+     * @returns {Promise<boolean>} false when the user cancelled the conflict view.
+     */
+    async function applyGenerated(generated, mode, submitted) {
+        const { result, conflicts, added, removed } = plan(rubric, generated, mode, submitted);
+        const choices = conflicts.length ? await askConflicts(conflicts) : [];
+        if (!choices) return false;
+        conflicts.forEach((c, i) => resolve(c, choices[i]));
+
+        const kept = choices.filter(c => c !== 'existing').length;
+        noteEdit(mode === 'merge'
+            ? `Merged ${added + kept} generated ${added + kept === 1 ? 'rule' : 'rules'} by section (${removed} replaced)`
+            : `Appended ${added + kept} generated ${added + kept === 1 ? 'rule' : 'rules'}`);
+        rubric = result;
+        for (const [sheet, spec] of Object.entries(generated?.sheets || {})) {
+            const name = Object.keys(rubric.sheets).find(s => s.toLowerCase() === sheet.toLowerCase()) || sheet;
+            for (const r of spec.checks || []) if (r.section) registerSection(r.section, name);
+        }
+        render();
+        return true;
+    }
+
+    window.rubricMerge = { plan, resolve, apply: applyGenerated };
+})();
@@ -0,0 +1,190 @@
+/**
+ * Rule Search + Filter
+ * --------------------
+ * Filters the compact lists, the right rail and the full rule editors by the
+ * query in #ruleSearch. Plain words match cell, range, type, note, section and
+ * chart / pivot / table names; `key:value` narrows to one field
+ * (type, sheet, section, cell, range, note, name, chart, pivot, table) and
+ * quoted values may contain spaces. All terms must match, e.g.
+ * `type:chart sheet:Summary E14` or `section:"Relative frequency"`.
+ * A cell term also matches range rules that contain that cell.
+ *
+ * Hits are highlighted and counted in #ruleSearchCount; clicking a hit in a
+ * compact list (or pressing Enter in the box) scrolls to and flashes its editor.
+ */
+(function () {
+    const input = document.getElementById('ruleSearch');
+    const counter = document.getElementById('ruleSearchCount');
+    if (!input) return;
+
+    const KEYS = { type: 'type', sheet: 'sheet', section: 'section', sec: 'section', cell: 'cell', range: 'range', note: 'note', name: 'name', chart: 'chart', pivot: 'pivot', table: 'table' };
+
+    let hits = [];      // rule ids in rubric order
+    let cursor = -1;    // last hit jumped to with Enter
+    let timer = null;
+
+    /**
+     * Splits a query into terms. Unknown `key:` prefixes are treated as plain text.
+     * @param {string} q
+     * @returns {Array<{key:(string|null), value:string}>}
+     */
+    function parseQuery(q) {
+        const terms = [];
+        const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+        let m;
+        while ((m = re.exec(q || ''))) {
+            const key = (m[1] || m[3] || '').toLowerCase();
+            const value = (m[2] ?? m[4] ?? m[5] ?? m[6] ?? '').toLowerCase();
+            if (key && KEYS[key]) { if (value) terms.push({ key: KEYS[key], value }); }
+            else if (key) terms.push({ key: null, value: m[0].toLowerCase() });
+            else if (value) terms.push({ key: null, value });
+        }
+        return terms;
+    }
+
+    /**
+     * Lower-cased searchable fields of a rule.
+     * @param {object} r
+     * @param {string} sheet
+     */
+    function fieldsOf(r, sheet) {
+        const s = v => (v ?? '').toString().toLowerCase();
+        const chart = [r.chart?.name_like, r.chart?.title].map(s).filter(Boolean);
+        const pivot = [r.pivot?.tableNameLike].map(s).filter(Boolean);
+        const table = [r.table?.name_like].map(s).filter(Boolean);
+        return {
+            type: s(r.type), sheet: s(sheet), section: s(r.section), cell: s(r.cell),
+            range: s(r.range), note: s(r.note), chart, pivot, table, name: [...chart, ...pivot, ...table]
+        };
+    }
+
+    /** True when `cellText` is a cell address inside the rule's range. */
+    function rangeHasCell(range, cellText) {
+        if (!range || !window.A1) return false;
+        const c = A1.parseCell(cellText);
+        const p = A1.parseRange(range);
+        return !!(c && p && A1.overlaps(p, { c1: c.col, r1: c.row, c2: c.col, r2: c.row }));
+    }
+
+    /**
+     * @param {{key:(string|null), value:string}} t
+     * @param {ReturnType<typeof fieldsOf>} f
+     * @returns {boolean}
+     */
+    function matchTerm(t, f) {
+        const v = t.value;
+        const has = x => Array.isArray(x) ? x.some(y => y.includes(v)) : x.includes(v);
+        switch (t.key) {
+            case 'cell': return has(f.cell) || rangeHasCell(f.range, v);
+            case 'type': case 'sheet': case 'section': case 'range': case 'note':
+            case 'name': case 'chart': case 'pivot': case 'table':
+                return has(f[t.key]);
+            default:
+                return [f.cell, f.range, f.type, f.note, f.section, f.name].some(has) || rangeHasCell(f.range, v);
+        }
+    }
+
+    /**
+     * Ids of rules matching every term, in rubric order.
+     * @param {Array<{key:(string|null), value:string}>} terms
+     * @returns {string[]}
+     */
+    function findHits(terms) {
+        const out = [];
+        for (const [sheet, spec] of Object.entries(rubric.sheets || {}))
+            for (const r of spec.checks || [])
+                if (r.__id && terms.every(t => matchTerm(t, fieldsOf(r, sheet)))) out.push(r.__id);
+        return out;
+    }
+
+    /** Wraps occurrences of any word in <mark> (input is plain text; matched on the raw text, escaped piece by piece). */
+    function highlight(text, words) {
+        const s = String(text ?? '');
+        const list = words.filter(Boolean).sort((a, b) => b.length - a.length).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (!list.length) return esc(s);
+        let html = '', at = 0;
+        for (const m of s.matchAll(new RegExp(list.join('|'), 'gi'))) {
+            html += esc(s.slice(at, m.index)) + `<mark>${esc(m[0])}</mark>`;
+            at = m.index + m[0].length;
+        }
+        return html + esc(s.slice(at));
+    }
+
+    /** Applies the current query to the DOM. Called after every render and on typing. */
+    function applySearch() {
+        timer = null;
+        const terms = parseQuery(input.value);
+        const active = terms.length > 0;
+        document.body.classList.toggle('rule-searching', active);
+
+        const all = document.querySelectorAll('.rule-row[data-id], .rule[data-id], .section-group, #sheets > .sheet, .rail-sheet');
+        if (!active) {
+            all.forEach(n => n.classList.remove('search-hit', 'search-miss'));
+            document.querySelectorAll('.rule-row mark').forEach(m => m.replaceWith(m.textContent));
+            hits = []; cursor = -1;
+            if (counter) counter.textContent = '';
+            return;
+        }
+
+        hits = findHits(terms);
+        const set = new Set(hits);
+        const words = terms.filter(t => t.key !== 'sheet').map(t => t.value);
+
+        document.querySelectorAll('.rule-row[data-id], .rule[data-id]').forEach(n => {
+            const hit = set.has(n.dataset.id);
+            n.classList.toggle('search-hit', hit);
+            n.classList.toggle('search-miss', !hit);
+            if (n.classList.contains('rule-row'))
+                n.querySelectorAll(':scope > div').forEach(d => { d.innerHTML = hit ? highlight(d.textContent, words) : esc(d.textContent); });
+        });
+        // hide containers with nothing left to show
+        document.querySelectorAll('.section-group, #sheets > .sheet, .rail-sheet').forEach(n => {
+            n.classList.toggle('search-miss', !n.querySelector('.search-hit'));
+        });
+
+        const total = Object.values(rubric.sheets || {}).reduce((a, s) => a + (s.checks || []).length, 0);
+        if (counter) counter.textContent = `${hits.length} of ${total} ${total === 1 ? 'rule' : 'rules'} match${hits.length ? ' · Enter jumps to the next' : ''}`;
+        if (cursor >= hits.length) cursor = -1;
+    }
+
+    function scheduleSearch() {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(applySearch, 120);
+    }
+
+    /** Scrolls to the next hit's editor (wraps around). */
+    function jumpNext() {
+        if (timer) applySearch();
+        if (!hits.length) return;
+        cursor = (cursor + 1) % hits.length;
+        window.focusRule?.(hits[cursor]);
+    }
+
+    // --- Hooks ------------------------------------------------------------------
+
+    if (typeof render === 'function') {
+        const _orig = render;
+        window.render = function () {
+            const result = _orig.apply(this, arguments);
+            if (input.value.trim()) applySearch();
+            return result;
+        };
+    }
+
+    input.addEventListener('input', scheduleSearch);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); jumpNext(); }
+        else if (e.key === 'Escape') { input.value = ''; applySearch(); }
+    });
+
+    // clicking a hit in a compact list jumps to its editor
+    document.addEventListener('click', (e) => {
+        if (!document.body.classList.contains('rule-searching')) return;
+        const row = e.target.closest?.('.rule-row.search-hit[data-id]');
+        if (!row || e.target.closest('input, button, select')) return;
+        cursor = hits.indexOf(row.dataset.id);
+        window.focusRule?.(row.dataset.id);
+    });
+
+    window.ruleSearch = { parseQuery, apply: applySearch };
+})();
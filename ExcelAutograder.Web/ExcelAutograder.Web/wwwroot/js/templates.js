@@ -0,0 +1,250 @@
+/**
+ * Rule Template Library
+ * ---------------------
+ * Named snippets of one or more rules that can be dropped into any sheet.
+ * Any `{name}` inside a template's string values is a parameter; inserting
+ * a template prompts once per parameter (pre-filled with the value it was
+ * saved from) and substitutes it everywhere, e.g. `{cell}` in `cell` and in
+ * `expected_formula`. Names are identifiers, so regex quantifiers like `{3}`
+ * are left alone; in `expected_regex` / `expected_formula_regex` only
+ * parameters declared in the template's `defaults` are substituted.
+ *
+ * "Save selected as template" turns the selected rules' cells and ranges into
+ * `{cell}` / `{range}` (or `{cell1}`, `{cell2}`… when they differ).
+ * Templates live in localStorage under `ruleTemplates` and can be exported /
+ * imported as JSON. `templatePicker()` is called by `sheetBlock()` to put the
+ * picker next to "+ Add Rule".
+ */
+(function () {
+    const STORE_KEY = 'ruleTemplates';
+    const PARAM_RE = /\{([A-Za-z_]\w*)\}/g;
+    const REGEX_FIELDS = new Set(['expected_regex', 'expected_formula_regex']);
+
+    /** Starter templates used until the user saves their own. */
+    const STARTERS = [
+        {
+            name: 'Header bold 18pt',
+            defaults: { cell: 'A1' },
+            rules: [{ type: 'format', cell: '{cell}', points: 1, note: 'Header is bold, 18pt', format: { font: { bold: true, size: 18 }, font_bold: true, font_size: 18 } }]
+        },
+        {
+            name: 'Currency format, 2 decimals',
+            defaults: { range: 'B2:B10' },
+            rules: [{ type: 'range_format', range: '{range}', points: 1, note: 'Currency with 2 decimals', format: { number_format: '$#,##0.00' } }]
+        },
+        {
+            name: 'SUMIFS with absolute criteria range',
+            defaults: { cell: 'E2' },
+            rules: [{ type: 'formula', cell: '{cell}', points: 1, note: 'SUMIFS with absolute criteria range', expected_from_key: true, require_absolute: true, expected_formula_regex: '^=SUMIFS\\(' }]
+        },
+        {
+            name: 'Clustered column chart, title from cell',
+            defaults: { title_cell: 'Sheet1!$B$1' },
+            rules: [{ type: 'chart', points: 1, note: 'Column chart titled from a cell', chart: { type: 'column', title_ref: '{title_cell}' } }]
+        }
+    ];
+
+    // --- Storage ----------------------------------------------------------------
+
+    /**
+     * Reads the template list (seeding the starters on first use).
+     * @returns {Array<{name:string, rules:object[], defaults?:Object<string,string>}>}
+     */
+    function loadTemplates() {
+        try {
+            const raw = localStorage.getItem(STORE_KEY);
+            if (raw == null) return JSON.parse(JSON.stringify(STARTERS));
+            const list = JSON.parse(raw);
+            return Array.isArray(list) ? list.filter(isTemplate) : [];
+        } catch (e) { console.warn('Could not read rule templates', e); return []; }
+    }
+
+    function saveTemplates(list) {
+        try { localStorage.setItem(STORE_KEY, JSON.stringify(list)); }
+        catch (e) { alert('Could not store templates: ' + e.message); }
+        refreshTemplateUI();
+    }
+
+    const isTemplate = t => t && typeof t.name === 'string' && t.name.trim() && Array.isArray(t.rules) && t.rules.length > 0;
+
+    // --- Parameters -------------------------------------------------------------
+
+    /** Whether `{p}` in field `key` is a parameter (regex fields: only declared ones). */
+    const isParam = (p, key, defaults) =>
+        !REGEX_FIELDS.has(key) || (!!defaults && Object.prototype.hasOwnProperty.call(defaults, p));
+
+    /**
+     * Parameter names used anywhere in a template, in order of first use.
+     * @param {object[]} rules
+     * @param {Object<string,string>} [defaults] - The template's declared parameters.
+     * @returns {string[]}
+     */
+    function paramsOf(rules, defaults) {
+        const seen = new Set();
+        const walk = (v, key) => {
+            if (typeof v === 'string') v.replace(PARAM_RE, (m, p) => { if (isParam(p, key, defaults)) seen.add(p); return m; });
+            else if (Array.isArray(v)) v.forEach(x => walk(x, key));
+            else if (v && typeof v === 'object') for (const [k, x] of Object.entries(v)) walk(x, k);
+        };
+        walk(rules, null);
+        return [...seen];
+    }
+
+    /**
+     * Deep-copies `value`, replacing `{param}` in every string.
+     * @param {any} value
+     * @param {Object<string,string>} params
+     * @param {Object<string,string>} [defaults] - The template's declared parameters.
+     * @param {string} [key] - Field name of `value` (internal).
+     * @returns {any}
+     */
+    function substitute(value, params, defaults, key) {
+        if (typeof value === 'string') return value.replace(PARAM_RE, (m, p) => (p in params && isParam(p, key, defaults) ? params[p] : m));
+        if (Array.isArray(value)) return value.map(v => substitute(v, params, defaults, key));
+        if (value && typeof value === 'object') {
+            const out = {};
+            for (const [k, v] of Object.entries(value)) out[k] = substitute(v, params, defaults, k);
+            return out;
+        }
+        return value;
+    }
+
+    /**
+     * Turns concrete rules into a template: strips builder ids and replaces
+     * cell / range values with parameters, remembering the originals as defaults.
+     * @param {string} name
+     * @param {object[]} rules
+     * @returns {{name:string, rules:object[], defaults:Object<string,string>}}
+     */
+    function templateFromRules(name, rules) {
+        const copies = rules.map(r => { const c = JSON.parse(JSON.stringify(r)); delete c.__id; return c; });
+        const defaults = {};
+        for (const field of ['cell', 'range']) {
+            const values = [...new Set(copies.map(r => (r[field] || '').toString().trim()).filter(Boolean))];
+            values.forEach((v, i) => {
+                const p = values.length === 1 ? field : `${field}${i + 1}`;
+                defaults[p] = v;
+                copies.forEach(r => { if ((r[field] || '').toString().trim() === v) r[field] = `{${p}}`; });
+            });
+        }
+        return { name, rules: copies, defaults };
+    }
+
+    // --- Actions ----------------------------------------------------------------
+
+    /**
+     * Prompts for each parameter and appends the template's rules to a sheet.
+     * @param {string} templateName
+     * @param {string} sheetName
+     */
+    function insertTemplate(templateName, sheetName) {
+        const tpl = loadTemplates().find(t => t.name === templateName);
+        const spec = rubric.sheets?.[sheetName];
+        if (!tpl || !spec) return;
+
+        const params = {};
+        for (const p of paramsOf(tpl.rules, tpl.defaults)) {
+            const v = prompt(`${tpl.name}: value for {${p}}`, tpl.defaults?.[p] ?? '');
+            if (v === null) return; // cancelled
+            params[p] = v.trim();
+        }
+
+        noteEdit(`Inserted template '${tpl.name}' into '${sheetName}'`);
+        spec.checks = spec.checks || [];
+        for (const r of substitute(tpl.rules, params, tpl.defaults)) {
+            spec.checks.push(Object.assign(emptyRule(r.type || 'formula'), r));
+            if (r.section) registerSection(r.section, sheetName);
+        }
+        render();
+    }
+
+    function saveSelectedAsTemplate() {
+        const rules = [];
+        for (const spec of Object.values(rubric.sheets || {}))
+            for (const r of spec.checks || []) if (UI.selected.has(r.__id)) rules.push(r);
+        if (!rules.length) return alert('Select one or more rules first.');
+
+        const name = (prompt(`Template name for ${rules.length} ${rules.length === 1 ? 'rule' : 'rules'}:`, '') || '').trim();
+        if (!name) return;
+        const list = loadTemplates();
+        const at = list.findIndex(t => t.name === name);
+        if (at >= 0 && !confirm(`Template '${name}' exists. Replace it?`)) return;
+
+        const tpl = templateFromRules(name, rules);
+        if (at >= 0) list[at] = tpl; else list.push(tpl);
+        saveTemplates(list);
+    }
+
+    function deleteTemplate(name) {
+        if (!name || !confirm(`Delete template '${name}'?`)) return;
+        saveTemplates(loadTemplates().filter(t => t.name !== name));
+    }
+
+    function exportTemplates() {
+        download('rule-templates.json', JSON.stringify({ templates: loadTemplates() }, null, 2));
+    }
+
+    /**
+     * Merges templates from a JSON file ({ templates: [...] } or a bare array); same names are replaced.
+     * @param {File} file
+     */
+    async function importTemplates(file) {
+        try {
+            const json = JSON.parse(await file.text());
+            const incoming = (Array.isArray(json) ? json : json?.templates || []).filter(isTemplate);
+            if (!incoming.length) return alert('No templates found in that file.');
+            const list = loadTemplates().filter(t => !incoming.some(n => n.name === t.name));
+            saveTemplates(list.concat(incoming));
+            alert(`Imported ${incoming.length} ${incoming.length === 1 ? 'template' : 'templates'}.`);
+        } catch (e) { alert('Could not import templates: ' + e.message); }
+    }
+
+    // --- UI ---------------------------------------------------------------------
+
+    /**
+     * Builds the "Insert template…" picker shown next to "+ Add Rule".
+     * @param {string} sheetName
+     * @returns {HTMLSelectElement}
+     */
+    function templatePicker(sheetName) {
+        const sel = el('select', 'template-picker');
+        sel.title = 'Insert rules from a saved template';
+        sel.append(new Option('Insert template…', '', true, true));
+        loadTemplates().forEach(t => sel.append(new Option(`${t.name} (${t.rules.length})`, t.name)));
+        sel.onchange = () => { const v = sel.value; sel.value = ''; if (v) insertTemplate(v, sheetName); };
+        return sel;
+    }
+    window.templatePicker = templatePicker;
+
+    /** Refreshes the manage list in the rail and every sheet's picker. */
+    function refreshTemplateUI() {
+        const list = document.getElementById('templateList');
+        if (list) {
+            const keep = list.value;
+            list.innerHTML = '';
+            const all = loadTemplates();
+            list.append(new Option(all.length ? 'Templates…' : '(no templates)', '', true, false));
+            all.forEach(t => list.append(new Option(t.name, t.name)));
+            if (all.some(t => t.name === keep)) list.value = keep;
+        }
+        document.querySelectorAll('#sheets .sheet').forEach(w => {
+            const old = w.querySelector('select.template-picker');
+            if (old) old.replaceWith(templatePicker(w.dataset.name));
+        });
+    }
+
+    const fileInput = document.getElementById('templateImportFile');
+    document.getElementById('btnTemplateSave')?.addEventListener('click', e => { e.preventDefault(); saveSelectedAsTemplate(); });
+    document.getElementById('btnTemplateDelete')?.addEventListener('click', e => { e.preventDefault(); deleteTemplate(document.getElementById('templateList')?.value); });
+    document.getElementById('btnTemplateExport')?.addEventListener('click', e => { e.preventDefault(); exportTemplates(); });
+    document.getElementById('btnTemplateImport')?.addEventListener('click', e => { e.preventDefault(); fileInput?.click(); });
+    fileInput?.addEventListener('change', async () => {
+        const f = fileInput.files?.[0];
+        fileInput.value = '';
+        if (f) await importTemplates(f);
+    });
+
+    window.ruleTemplates = { list: loadTemplates, insert: insertTemplate, fromRules: templateFromRules, paramsOf };
+
+    refreshTemplateUI();
+})();
@@ -0,0 +1,339 @@
+/**
+ * Client-Side Rubric Validation
+ * -----------------------------
+ * Checks the builder rubric against the shape the grader expects (see
+ * Models.cs and the Grade* methods) so mistakes surface while editing instead
+ * of as "Unknown check type" or a zero score after a whole batch is graded.
+ *
+ * After every `render()` / `refreshJsonPreview()` the rubric is validated,
+ * offending rule blocks get inline messages, #validationPanel lists every
+ * problem, and "Grade with Current JSON" stays disabled while errors remain
+ * unless #validationOverride ("Grade anyway") is checked. "Grade (using
+ * uploaded rubric file)" sends a file or library rubric, not the builder's, so
+ * it is not gated.
+ */
+(function () {
+    // Types that grade a single cell / a rectangular range (Grader.run.cs → DispatchRule)
+    const CELL_TYPES = ['value', 'formula', 'format'];
+    const RANGE_TYPES = ['range_value', 'range_formula', 'range_format', 'range_sequence', 'range_numeric'];
+    const CF_TYPES = ['cellIs', 'expression', 'containsText', 'top10', 'dataBar', 'colorScale', 'iconSet'];
+
+    const blank = v => v == null || (typeof v === 'string' && v.trim() === '');
+    const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+    /**
+     * Validates a rubric object.
+     * @param {object} rub - Rubric in the builder/Models.cs shape.
+     * @returns {Array<{level:'error'|'warning', sheet:(string|null), ruleId:(string|null), index:(number|null), field:(string|null), message:string}>}
+     */
+    function validateRubric(rub) {
+        const issues = [];
+        const add = (level, sheet, rule, index, field, message) =>
+            issues.push({ level, sheet, ruleId: rule?.__id ?? null, index, field, message });
+
+        if (!rub || typeof rub !== 'object') {
+            add('error', null, null, null, null, 'Rubric is not an object.');
+            return issues;
+        }
+        if (rub.points != null && !(isNum(+rub.points) && +rub.points >= 0))
+            add('error', null, null, null, 'points', 'Total points must be a number ≥ 0.');
+
+        const sheets = rub.sheets || {};
+        if (!Object.keys(sheets).length) add('warning', null, null, null, null, 'Rubric has no sheets.');
+
+        let sum = 0;
+        for (const [sheetName, spec] of Object.entries(sheets)) {
+            if (blank(sheetName)) add('error', sheetName, null, null, null, 'Sheet name is empty.');
+            const checks = Array.isArray(spec?.checks) ? spec.checks : null;
+            if (!checks) { add('error', sheetName, null, null, null, `Sheet '${sheetName}' has no checks list.`); continue; }
+            if (!checks.length) add('warning', sheetName, null, null, null, `Sheet '${sheetName}' has no rules.`);
+
+            const seen = new Map(); // "type|cell" -> first index
+            checks.forEach((r, i) => {
+                validateRule(r, (level, field, message) => add(level, sheetName, r, i, field, message));
+                sum += isNum(+r?.points) ? +r.points : 0;
+
+                const loc = (r?.cell || r?.range || '').toString().trim().toUpperCase();
+                if (loc && r?.type) {
+                    const k = `${r.type}|${loc}`;
+                    if (seen.has(k)) add('warning', sheetName, r, i, 'cell', `Duplicate ${r.type} rule for ${loc} (also rule #${seen.get(k) + 1}).`);
+                    else seen.set(k, i);
+                }
+            });
+        }
+
+        if (isNum(+rub.points) && +rub.points > 0 && Math.abs(sum - rub.points) > 1e-6)
+            add('warning', null, null, null, 'points', `Rule points add up to ${+sum.toFixed(4)}, not the total of ${rub.points}.`);
+
+        return issues;
+    }
+
+    /**
+     * Validates one rule and reports through `report(level, field, message)`.
+     * @param {object} r
+     * @param {(level:'error'|'warning', field:(string|null), message:string) => void} report
+     */
+    function validateRule(r, report) {
+        if (!r || typeof r !== 'object') { report('error', null, 'Rule is not an object.'); return; }
+        const type = (r.type || '').toString();
+
+        if (!type) report('error', 'type', 'Rule has no type.');
+        else if (!RULE_TYPES.includes(type)) report('error', 'type', `Unknown check type '${type}'.`);
+
+        if (r.points == null || !isNum(+r.points)) report('error', 'points', 'Points must be a number.');
+        else if (+r.points < 0) report('error', 'points', 'Points cannot be negative.');
+        else if (+r.points === 0 && type !== 'custom_note') report('warning', 'points', 'Rule is worth 0 points.');
+
+        if (r.tolerance != null && !(isNum(r.tolerance) && r.tolerance >= 0))
+            report('error', 'tolerance', 'Tolerance must be a number ≥ 0.');
+
+        // --- location
+        if (CELL_TYPES.includes(type)) {
+            const useRange = type === 'format' && blank(r.cell) && !blank(r.range);
+            if (useRange) checkRange(r.range, 'range', report, false);
+            else if (blank(r.cell)) report('error', 'cell', `${type} rule needs a cell (e.g. B12).`);
+            else checkCell(r.cell, report);
+        } else if (RANGE_TYPES.includes(type)) {
+            if (blank(r.range)) report('error', 'range', `${type} rule needs a range (e.g. A2:B11).`);
+            else checkRange(r.range, 'range', report, false);
+        }
+
+        // --- type-specific expectations
+        switch (type) {
+            case 'formula': {
+                const opts = Array.isArray(r.any_of) ? r.any_of.filter(o => o && (!blank(o.expected_formula) || !blank(o.expected_formula_regex) || o.expected_from_key)) : [];
+                if (blank(r.expected_formula) && blank(r.expected_formula_regex) && !r.expected_from_key && !opts.length && blank(r.expected))
+                    report('warning', 'expected_formula', 'Formula rule has nothing to compare against (formula, regex, "From key" or expected value).');
+                checkRegex(r.expected_formula_regex, 'expected_formula_regex', report);
+                (r.any_of || []).forEach(o => checkRegex(o?.expected_formula_regex, 'any_of', report));
+                break;
+            }
+            case 'value': {
+                const opts = Array.isArray(r.any_of) ? r.any_of.filter(o => o && (o.expected != null || !blank(o.expected_regex))) : [];
+                if (r.expected == null && blank(r.expected_regex) && !r.expected_from_key && !opts.length)
+                    report('warning', 'expected', 'Value rule has no expected value.');
+                checkRegex(r.expected_regex, 'expected_regex', report);
+                break;
+            }
+            case 'format':
+            case 'range_format': {
+                const f = r.format || {};
+                const font = f.font || {};
+                const any = !blank(f.number_format ?? f.NumberFormat) || f.bold != null || f.italic != null || f.font_bold != null || f.font_size != null
+                    || font.bold != null || font.size != null || font.name != null || f.fill || f.alignment || f.border;
+                if (!any) report('warning', 'format', 'Format rule does not specify any format to check.');
+                break;
+            }
+            case 'range_sequence':
+                if (r.start != null && !isNum(r.start)) report('error', 'start', 'Start must be a number.');
+                if (r.step != null && !isNum(r.step)) report('error', 'step', 'Step must be a number.');
+                break;
+            case 'chart':
+                validateChart(r.chart, report);
+                break;
+            case 'pivot_layout': {
+                const p = r.pivot || {};
+                const has = a => Array.isArray(a) && a.some(Boolean);
+                if (blank(p.tableNameLike) && blank(p.sheet) && !has(p.rows) && !has(p.columns) && !has(p.filters) && !has(p.values))
+                    report('error', 'pivot', 'Pivot rule has an empty spec.');
+                (p.values || []).forEach((v, i) => { if (blank(v?.field)) report('error', 'pivot', `Pivot value #${i + 1} has no field.`); });
+                break;
+            }
+            case 'conditional_format':
+                validateCond(r.cond, report);
+                break;
+            case 'table': {
+                const t = r.table || {};
+                const has = a => Array.isArray(a) && a.length > 0;
+                if (blank(t.name_like) && !has(t.columns?.filter?.(Boolean)) && blank(t.range_ref) && t.rows == null && t.cols == null && !has(t.contains_rows) && !has(t.body_rows))
+                    report('error', 'table', 'Table rule has an empty spec.');
+                if (!blank(t.range_ref)) checkRange(t.range_ref, 'table', report, true);
+                break;
+            }
+        }
+    }
+
+    function validateChart(c, report) {
+        c = c || {};
+        const series = Array.isArray(c.series) ? c.series : [];
+        const keys = ['sheet', 'name_like', 'type', 'title', 'title_ref', 'legend_pos', 'x_title', 'y_title'];
+        if (keys.every(k => blank(c[k])) && c.data_labels == null && !series.length) {
+            report('error', 'chart', 'Chart rule has an empty spec.');
+            return;
+        }
+        if (!blank(c.title_ref)) checkRange(c.title_ref, 'chart', report, true, 'Title ref');
+        series.forEach((s, i) => {
+            const n = `Series #${i + 1}`;
+            if (blank(s?.val_ref)) report('error', 'chart', `${n} needs a values ref.`);
+            else checkRange(s.val_ref, 'chart', report, true, `${n} values`);
+            if (!blank(s?.cat_ref)) checkRange(s.cat_ref, 'chart', report, true, `${n} categories`);
+            if (!blank(s?.name_ref)) checkRange(s.name_ref, 'chart', report, true, `${n} name ref`);
+        });
+    }
+
+    function validateCond(c, report) {
+        if (!c || typeof c !== 'object') { report('error', 'cond', 'Conditional format rule has an empty spec.'); return; }
+        if (blank(c.type)) report('error', 'cond', 'Conditional format rule needs a type.');
+        else if (!CF_TYPES.includes(c.type)) report('error', 'cond', `Unknown conditional format type '${c.type}'.`);
+        if (!blank(c.range)) {
+            // sqref may list several ranges separated by spaces
+            c.range.trim().split(/\s+/).forEach(part => checkRange(part, 'cond', report, true));
+        }
+        if (c.type === 'cellIs') {
+            if (blank(c.formula1)) report('error', 'cond', '"Cell is" rule needs Value / Formula 1.');
+            if ((c.op === 'between' || c.op === 'notBetween') && blank(c.formula2)) report('error', 'cond', `"${c.op}" needs Value / Formula 2.`);
+        }
+        if (c.type === 'expression' && blank(c.formula1)) report('error', 'cond', 'Formula rule needs a formula.');
+        if (c.type === 'containsText' && blank(c.text)) report('error', 'cond', '"Contains text" rule needs the text to look for.');
+    }
+
+    function checkCell(text, report) {
+        const { sheet, ref } = A1.splitSheet(text);
+        if (sheet) report('error', 'cell', `Cell '${text}' should not include a sheet name; the rule already belongs to a sheet.`);
+        else if (!A1.parseCell(ref)) report('error', 'cell', `'${text}' is not a valid cell address.`);
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} field
+     * @param {Function} report
+     * @param {boolean} allowSheet - Whether a "Sheet!" prefix is allowed (chart/table/CF refs).
+     *   Those refs are compared as text by the grader, so a bad one is only a warning.
+     * @param {string} [what] - Label used in messages.
+     */
+    function checkRange(text, field, report, allowSheet, what) {
+        const p = A1.parseRange(text);
+        const label = what ? `${what} '${text}'` : `'${text}'`;
+        if (!p) report(allowSheet ? 'warning' : 'error', field, `${label} is not a valid A1 range.`);
+        else if (p.sheet && !allowSheet) report('error', field, `${label} should not include a sheet name; the rule already belongs to a sheet.`);
+        else if (p.swapped) report('warning', field, `${label} has reversed corners (use ${p.normalized}).`);
+    }
+
+    function checkRegex(text, field, report) {
+        if (blank(text)) return;
+        try { new RegExp(text); }
+        catch (e) { report('warning', field, `Regex '${text}' does not parse: ${e.message}`); }
+    }
+
+    // --- UI ---------------------------------------------------------------------
+
+    let lastIssues = [];
+    let timer = null;
+
+    const hasErrors = () => lastIssues.some(i => i.level === 'error');
+
+    /** Enables/disables "Grade with Current JSON" (the button that sends the builder rubric) according to errors + override. */
+    function refreshGradeButtons() {
+        const override = !!document.getElementById('validationOverride')?.checked;
+        const block = hasErrors() && !override;
+        const b = document.getElementById('btnGradeWithJson');
+        if (!b) return;
+        b.disabled = block;
+        b.title = block ? 'Fix rubric errors first (or tick "Grade anyway")' : '';
+    }
+
+    /**
+     * Scrolls to a rule editor and briefly highlights it.
+     * @param {string} ruleId
+     */
+    function focusRule(ruleId) {
+        const block = document.querySelector(`.rule[data-id="${CSS.escape(ruleId)}"]`);
+        if (!block) return;
+        block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        block.classList.remove('flash');
+        void block.offsetWidth; // restart the animation
+        block.classList.add('flash');
+    }
+    window.focusRule = focusRule;
+
+    /** Marks rule blocks inline and rebuilds the summary panel. */
+    function paint() {
+        // inline marks
+        document.querySelectorAll('.rule.invalid, .rule.has-warning').forEach(b => b.classList.remove('invalid', 'has-warning'));
+        document.querySelectorAll('.rule .rule-issues').forEach(n => n.remove());
+        document.querySelectorAll('.rule .field-error').forEach(n => n.classList.remove('field-error'));
+
+        const byRule = new Map();
+        for (const i of lastIssues) {
+            if (!i.ruleId) continue;
+            if (!byRule.has(i.ruleId)) byRule.set(i.ruleId, []);
+            byRule.get(i.ruleId).push(i);
+        }
+        for (const [id, list] of byRule) {
+            const block = document.querySelector(`.rule[data-id="${CSS.escape(id)}"]`);
+            if (!block) continue;
+            const err = list.some(i => i.level === 'error');
+            block.classList.add(err ? 'invalid' : 'has-warning');
+            const box = el('div', 'rule-issues');
+            for (const i of list) {
+                box.append(el('div', i.level, `${i.level === 'error' ? '✖' : '⚠'} ${esc(i.message)}`));
+                if (i.level === 'error' && i.field) block.querySelector(`[data-field="${i.field}"]`)?.classList.add('field-error');
+            }
+            block.prepend(box);
+        }
+
+        // summary
+        const panel = document.getElementById('validationPanel');
+        if (panel) {
+            panel.innerHTML = '';
+            const errors = lastIssues.filter(i => i.level === 'error').length;
+            const warnings = lastIssues.length - errors;
+            const head = el('div', 'hstack');
+            head.append(el('strong', errors ? 'v-error' : (warnings ? 'v-warning' : 'v-ok'),
+                errors || warnings
+                    ? `${errors} ${errors === 1 ? 'error' : 'errors'}, ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`
+                    : '✔ Rubric looks valid'));
+            panel.append(head);
+
+            if (lastIssues.length) {
+                const list = el('div', 'stack validation-list');
+                for (const i of lastIssues) {
+                    const where = [i.sheet, i.index != null ? `rule #${i.index + 1}` : null].filter(Boolean).join(' · ');
+                    const row = el('div', `validation-row ${i.level}`, `<span class="tiny muted">${esc(where || 'Rubric')}</span> ${esc(i.message)}`);
+                    if (i.ruleId) { row.classList.add('link'); row.onclick = () => focusRule(i.ruleId); }
+                    list.append(row);
+                }
+                panel.append(list);
+            }
+        }
+        refreshGradeButtons();
+    }
+
+    /** Validates the current builder rubric and repaints. */
+    function runValidation() {
+        timer = null;
+        try { lastIssues = validateRubric(rubric); } catch (e) { console.warn('Validation failed', e); lastIssues = []; }
+        paint();
+    }
+
+    /** Coalesces the many refreshes a single render triggers into one validation pass. */
+    function scheduleValidation() {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(runValidation, 30);
+    }
+
+    if (typeof render === 'function') {
+        const _orig = render;
+        window.render = function () {
+            const result = _orig.apply(this, arguments);
+            scheduleValidation();
+            return result;
+        };
+    }
+
+    if (typeof refreshJsonPreview === 'function') {
+        const _orig = refreshJsonPreview;
+        window.refreshJsonPreview = function () {
+            const result = _orig.apply(this, arguments);
+            scheduleValidation();
+            return result;
+        };
+    }
+
+    document.getElementById('validationOverride')?.addEventListener('change', refreshGradeButtons);
+
+    window.validateRubric = validateRubric;
+    window.rubricValidation = { run: runValidation, issues: () => lastIssues.slice(), hasErrors };
+
+    runValidation();
+})();